@@ -1,35 +1,13 @@
 /**
  * Space Hulk Tracker - JavaScript Application
  * Tracks game state for Space Hulk board game
+ * Renders the state kept by the scripts in core/ and handles the player's input
  */
 
 // ============================================
-// State Management
+// Audio Output
 // ============================================
 
-const state = {
-    timer: {
-        minutes: 3,
-        seconds: 0,
-        isRunning: false,
-        intervalId: null,
-        defaultMinutes: 3,
-        alarmIntervalId: null,
-        oneMinuteChimePlayed: false,
-        thirtySecondChimePlayed: false
-    },
-    psychicPoints: 20,
-    cannonPoints: 10,
-    commandPoints: 0,
-    customTrackers: [],
-    nextTrackerId: 1,
-    visibility: {
-        librarian: true,
-        cannon: true,
-        command: true
-    }
-};
-
 // Reusable audio context for alarm sounds
 let audioContext = null;
 
@@ -63,9 +41,9 @@ function updateTimerDisplay() {
     const totalSeconds = state.timer.minutes * 60 + state.timer.seconds;
     timerDisplay.classList.remove('warning', 'danger');
     
-    if (totalSeconds <= 30 && totalSeconds > 10) {
+    if (totalSeconds <= state.alerts.warningColorAt && totalSeconds > state.alerts.dangerColorAt) {
         timerDisplay.classList.add('warning');
-    } else if (totalSeconds <= 10) {
+    } else if (totalSeconds <= state.alerts.dangerColorAt) {
         timerDisplay.classList.add('danger');
     }
 }
@@ -75,37 +53,76 @@ function updateTimerDisplay() {
  */
 function startTimer() {
     if (state.timer.isRunning) return;
+    if (!isTimedPhase()) return;
     
+    logEvent('timerStart', { remaining: getRemainingSeconds() });
+    announce(`Timer started, ${describeTime(getRemainingSeconds())} left`);
+    state.timer.endsAt = clock() + getRemainingSeconds() * 1000;
     state.timer.isRunning = true;
-    state.timer.intervalId = setInterval(() => {
-        // Check for warning chimes BEFORE decrementing (only play once per timer run)
-        const totalSeconds = state.timer.minutes * 60 + state.timer.seconds;
-        if (totalSeconds === 60 && !state.timer.oneMinuteChimePlayed) {
-            // Play 1 minute warning chime
-            state.timer.oneMinuteChimePlayed = true;
-            playOneMinuteChime();
-        } else if (totalSeconds === 30 && !state.timer.thirtySecondChimePlayed) {
-            // Play 30 seconds warning chime
-            state.timer.thirtySecondChimePlayed = true;
-            playThirtySecondChime();
-        }
-        
-        if (state.timer.seconds === 0) {
-            if (state.timer.minutes === 0) {
-                // Timer finished
-                stopTimer();
-                playTimerEndSound();
-                return;
-            }
-            state.timer.minutes--;
-            state.timer.seconds = 59;
-        } else {
-            state.timer.seconds--;
-        }
-        
+    runTimer();
+    saveState();
+}
+
+/**
+ * Runs the tick loop against the current deadline
+ */
+function runTimer() {
+    if (state.timer.intervalId) {
+        clearInterval(state.timer.intervalId);
+    }
+    state.timer.intervalId = setInterval(tickTimer, TIMER_TICK_INTERVAL);
+}
+
+/**
+ * Picks up a timer that was running when the game was saved
+ * @param {number} endsAt - Deadline in epoch milliseconds
+ */
+function resumeTimer(endsAt) {
+    state.timer.endsAt = endsAt;
+    state.timer.isRunning = true;
+    
+    // Skip warnings for thresholds passed while the page was closed
+    const remaining = getRemainingSeconds();
+    state.timer.warningsPlayed = state.alerts.warnings
+        .map(getWarningSeconds)
+        .filter(at => at > remaining);
+    
+    // The first tick plays the alarm if the deadline has already passed
+    setRemainingSeconds(remaining);
+    runTimer();
+}
+
+/**
+ * Brings the display up to date with the deadline and plays any warnings or the alarm that are due
+ */
+function tickTimer() {
+    if (!state.timer.isRunning) return;
+    
+    const previous = state.timer.minutes * 60 + state.timer.seconds;
+    const totalSeconds = getRemainingSeconds();
+    setRemainingSeconds(totalSeconds);
+    
+    checkTimerWarnings(totalSeconds);
+    if (totalSeconds !== previous) {
+        speakCountdown(totalSeconds);
+        announceTimeLeft(totalSeconds);
+    }
+    
+    if (totalSeconds === 0) {
+        // Timer finished
+        stopTimer();
+        logEvent('timerExpire');
+        updateTimerDisplay();
+        announce('Time is up', true);
+        speakCountdown(0);
+        playTimerEndSound();
+        return;
+    }
+    
+    if (totalSeconds !== previous) {
         updateTimerDisplay();
         saveState();
-    }, 1000);
+    }
 }
 
 /**
@@ -114,18 +131,28 @@ function startTimer() {
 function pauseTimer() {
     if (!state.timer.isRunning) return;
     
-    state.timer.isRunning = false;
-    if (state.timer.intervalId) {
-        clearInterval(state.timer.intervalId);
-        state.timer.intervalId = null;
+    const remaining = getRemainingSeconds();
+    logEvent('timerPause', { remaining: remaining });
+    // Running out is announced by the expiry instead
+    if (remaining > 0) {
+        announce(`Timer paused, ${describeTime(remaining)} left`);
     }
+    stopTimer();
 }
 
 /**
- * Stops the countdown timer
+ * Stops the countdown timer without logging a pause - used when it runs out
  */
 function stopTimer() {
-    pauseTimer();
+    setRemainingSeconds(getRemainingSeconds());
+    state.timer.isRunning = false;
+    state.timer.endsAt = null;
+    if (state.timer.intervalId) {
+        clearInterval(state.timer.intervalId);
+        state.timer.intervalId = null;
+    }
+    updateTimerDisplay();
+    saveState();
 }
 
 /**
@@ -134,11 +161,12 @@ function stopTimer() {
 function resetTimer() {
     pauseTimer();
     stopAlarm();
+    logEvent('timerReset');
     state.timer.minutes = state.timer.defaultMinutes;
     state.timer.seconds = 0;
-    // Reset chime flags
-    state.timer.oneMinuteChimePlayed = false;
-    state.timer.thirtySecondChimePlayed = false;
+    announce(`Timer reset to ${describeTime(state.timer.defaultMinutes * 60)}`);
+    // Reset warnings
+    state.timer.warningsPlayed = [];
     updateTimerDisplay();
     saveState();
 }
@@ -189,10 +217,10 @@ function startContinuousAlarm() {
     // Play alarm immediately
     playAlarmSound();
     
-    // Set interval to repeat alarm every 2 seconds
+    // Repeat at the pace of the chosen alarm profile
     state.timer.alarmIntervalId = setInterval(() => {
         playAlarmSound();
-    }, 2000);
+    }, ALARM_PROFILES[state.alerts.alarmProfile].repeat);
 }
 
 /**
@@ -211,514 +239,6212 @@ function stopAlarm() {
     }
 }
 
-// Audio constants
-const AUDIO_FREQUENCY = 880; // Hz (high A note)
-const AUDIO_RAMP_START_TIME = 0.01; // seconds
-const AUDIO_MIN_GAIN = 0.01; // minimum gain for exponential ramp
-
 /**
  * Helper function to create and play audio beeps
  * @param {number} beepCount - Number of beeps to play
  * @param {number} beepDuration - Duration of each beep in seconds
  * @param {number} beepInterval - Interval between beeps in seconds
  * @param {number} volume - Volume/gain of the beeps (0-1)
+ * @param {number} [frequency] - Tone of the beeps in Hz
+ * @param {number} [delay] - Seconds to wait before the first beep
  */
-function playBeeps(beepCount, beepDuration, beepInterval, volume) {
+function playBeeps(beepCount, beepDuration, beepInterval, volume, frequency = AUDIO_FREQUENCY, delay = 0) {
+    if (state.alerts.muted) return;
+    
     try {
-        const ctx = getAudioContext();
-        
-        for (let i = 0; i < beepCount; i++) {
-            const startTime = ctx.currentTime + (i * beepInterval);
-            
-            const oscillator = ctx.createOscillator();
-            const gainNode = ctx.createGain();
-            
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(AUDIO_FREQUENCY, startTime);
-            
-            gainNode.gain.setValueAtTime(0, startTime);
-            gainNode.gain.linearRampToValueAtTime(volume, startTime + AUDIO_RAMP_START_TIME);
-            gainNode.gain.exponentialRampToValueAtTime(AUDIO_MIN_GAIN, startTime + beepDuration);
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(ctx.destination);
-            
-            oscillator.start(startTime);
-            oscillator.stop(startTime + beepDuration);
-        }
+        scheduleBeeps(getAudioContext(), beepCount, beepDuration, beepInterval, volume, frequency, delay);
     } catch (e) {
         console.warn('Failed to play beeps:', e);
     }
 }
 
 /**
- * Plays an alarm sound using Web Audio API
+ * Plays the chosen alarm profile using Web Audio API
  */
 function playAlarmSound() {
-    playBeeps(5, 0.2, 0.3, 0.3);
+    playAlarmPattern(ALARM_PROFILES[state.alerts.alarmProfile], state.alerts.alarmVolume);
 }
 
 /**
- * Plays a chime at 1 minute remaining - 2 beeps
+ * Plays one round of an alarm profile
+ * @param {Object} profile - Alarm profile from ALARM_PROFILES
+ * @param {number} volume - Volume/gain of the alarm (0-1)
  */
-function playOneMinuteChime() {
-    playBeeps(2, 0.15, 0.25, 0.25);
+function playAlarmPattern(profile, volume) {
+    profile.patterns.forEach(p => {
+        playBeeps(p.beeps, p.duration, p.interval, volume, p.frequency, p.delay);
+    });
 }
 
+// ============================================
+// Sound & Alerts
+// ============================================
+
+// Alert settings being edited in the sound & alerts dialog
+let editingAlerts = null;
+
 /**
- * Plays a chime at 30 seconds remaining - 3 beeps
+ * Plays the beeps for a timer warning
+ * @param {Object} warning - Warning settings
  */
-function playThirtySecondChime() {
-    playBeeps(3, 0.15, 0.2, 0.25);
+function playWarning(warning) {
+    playBeeps(warning.beeps, WARNING_BEEP_DURATION, WARNING_BEEP_INTERVAL, warning.volume, warning.frequency);
 }
 
-// ============================================
-// Points Management
-// ============================================
+/**
+ * Plays the warnings due at the given time left, once per timer run
+ * @param {number} totalSeconds - Seconds remaining
+ */
+function checkTimerWarnings(totalSeconds) {
+    const due = getDueWarnings(totalSeconds);
+    if (due.length === 0) return;
+    
+    // Warnings skipped over while the page was hidden are only marked, not replayed
+    due.forEach(warning => state.timer.warningsPlayed.push(getWarningSeconds(warning)));
+    const latest = due.reduce((a, b) => getWarningSeconds(a) <= getWarningSeconds(b) ? a : b);
+    playWarning(latest);
+}
 
 /**
- * Adjusts points for a tracker
- * @param {string} type - Type of tracker (psychic, cannon, command, or custom-{id})
- * @param {number} delta - Amount to change (+1 or -1)
+ * Reads out the final seconds of the turn
+ * @param {number} totalSeconds - Seconds remaining
  */
-function adjustPoints(type, delta) {
-    let element;
-    let newValue;
+function speakCountdown(totalSeconds) {
+    if (!state.alerts.spokenCountdown || totalSeconds > state.alerts.countdownFrom) return;
+    speak(totalSeconds === 0 ? 'Time' : String(totalSeconds));
+}
+
+/**
+ * Speaks text aloud with the browser's speech synthesis
+ * @param {string} text - Text to speak
+ */
+function speak(text) {
+    if (state.alerts.muted || !('speechSynthesis' in window)) return;
     
-    switch(type) {
-        case 'psychic':
-            state.psychicPoints = Math.max(0, state.psychicPoints + delta);
-            newValue = state.psychicPoints;
-            element = document.getElementById('psychicPoints');
-            break;
-        case 'cannon':
-            state.cannonPoints = Math.max(0, state.cannonPoints + delta);
-            newValue = state.cannonPoints;
-            element = document.getElementById('cannonPoints');
-            break;
-        case 'command':
-            state.commandPoints = Math.max(0, state.commandPoints + delta);
-            newValue = state.commandPoints;
-            element = document.getElementById('commandPoints');
-            break;
-        default:
-            // Custom tracker
-            if (type.startsWith('custom-')) {
-                const id = parseInt(type.replace('custom-', ''));
-                const tracker = state.customTrackers.find(t => t.id === id);
-                if (tracker) {
-                    tracker.value = Math.max(0, tracker.value + delta);
-                    newValue = tracker.value;
-                    element = document.getElementById(`customPoints-${id}`);
-                }
-            }
+    try {
+        // Drop anything still queued so the countdown stays in time
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    } catch (e) {
+        console.warn('Failed to speak:', e);
     }
-    
-    if (element) {
-        element.textContent = newValue;
-        updatePointsStyle(element, newValue);
+}
+
+/**
+ * Turns all sound on or off
+ */
+function toggleMute() {
+    state.alerts.muted = !state.alerts.muted;
+    if (state.alerts.muted && 'speechSynthesis' in window) {
+        window.speechSynthesis.cancel();
     }
-    
+    updateMuteButton();
     saveState();
 }
 
 /**
- * Resets points for a tracker to default value
- * @param {string} type - Type of tracker
- * @param {number} defaultValue - Value to reset to
+ * Updates the mute button icon and label
+ */
+function updateMuteButton() {
+    const button = document.getElementById('muteBtn');
+    button.querySelector('.material-symbols-outlined').textContent = state.alerts.muted ? 'volume_off' : 'volume_up';
+    button.setAttribute('aria-label', state.alerts.muted ? 'Unmute sound' : 'Mute sound');
+    button.classList.toggle('muted', state.alerts.muted);
+}
+
+/**
+ * Opens the sound & alerts dialog with a working copy of the settings
  */
-function resetPoints(type, defaultValue) {
-    let element;
+function openAlertSettings() {
+    editingAlerts = JSON.parse(JSON.stringify(state.alerts));
     
-    switch(type) {
-        case 'psychic':
-            state.psychicPoints = defaultValue;
-            element = document.getElementById('psychicPoints');
-            break;
-        case 'cannon':
-            state.cannonPoints = defaultValue;
-            element = document.getElementById('cannonPoints');
-            break;
-        case 'command':
-            state.commandPoints = defaultValue;
-            element = document.getElementById('commandPoints');
-            break;
-    }
+    const profileSelect = document.getElementById('alarmProfile');
+    profileSelect.innerHTML = Object.entries(ALARM_PROFILES)
+        .map(([id, profile]) => `<option value="${id}">${escapeHtml(profile.name)}</option>`)
+        .join('');
+    profileSelect.value = editingAlerts.alarmProfile;
+    document.getElementById('alarmVolume').value = editingAlerts.alarmVolume;
+    document.getElementById('warningColorAt').value = editingAlerts.warningColorAt;
+    document.getElementById('dangerColorAt').value = editingAlerts.dangerColorAt;
+    document.getElementById('spokenCountdown').checked = editingAlerts.spokenCountdown;
+    document.getElementById('countdownFrom').value = editingAlerts.countdownFrom;
+    document.getElementById('alertsError').textContent = '';
     
-    if (element) {
-        element.textContent = defaultValue;
-        updatePointsStyle(element, defaultValue);
+    renderWarningRows();
+    openModal('alertsModal');
+}
+
+/**
+ * Renders the editable list of warning points
+ */
+function renderWarningRows() {
+    const list = document.getElementById('warningList');
+    
+    if (editingAlerts.warnings.length === 0) {
+        list.innerHTML = '<li class="warning-empty">No warnings</li>';
+        return;
     }
     
-    saveState();
+    list.innerHTML = editingAlerts.warnings.map((warning, index) => `
+        <li class="warning-row" data-index="${index}">
+            <input type="number" data-field="at" value="${warning.at}" min="1" aria-label="Warn at">
+            <select data-field="unit" aria-label="Unit">
+                <option value="seconds"${warning.unit === 'seconds' ? ' selected' : ''}>sec</option>
+                <option value="percent"${warning.unit === 'percent' ? ' selected' : ''}>%</option>
+            </select>
+            <input type="number" data-field="frequency" value="${warning.frequency}" min="100" max="4000" step="10" aria-label="Tone (Hz)">
+            <input type="number" data-field="beeps" value="${warning.beeps}" min="1" max="10" aria-label="Beeps">
+            <input type="range" data-field="volume" value="${warning.volume}" min="0" max="1" step="0.05" aria-label="Volume">
+            <button class="btn-icon" onclick="previewWarning(${index})" aria-label="Play warning">
+                <span class="material-symbols-outlined">play_arrow</span>
+            </button>
+            <button class="btn-icon" onclick="removeWarning(${index})" aria-label="Remove warning">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </li>
+    `).join('');
 }
 
 /**
- * Resets command points
+ * Copies the warning rows from the dialog into the working settings
  */
-function resetCommandPoints() {
-    state.commandPoints = 0;
-    const pointsEl = document.getElementById('commandPoints');
-    pointsEl.textContent = 0;
-    updatePointsStyle(pointsEl, 0);
-    saveState();
+function readWarningRows() {
+    document.querySelectorAll('#warningList .warning-row').forEach(row => {
+        const warning = editingAlerts.warnings[parseInt(row.dataset.index)];
+        warning.at = parseInt(row.querySelector('[data-field="at"]').value);
+        warning.unit = row.querySelector('[data-field="unit"]').value;
+        warning.frequency = parseInt(row.querySelector('[data-field="frequency"]').value);
+        warning.beeps = parseInt(row.querySelector('[data-field="beeps"]').value);
+        warning.volume = parseFloat(row.querySelector('[data-field="volume"]').value);
+    });
 }
 
 /**
- * Updates visual style based on points value
- * @param {HTMLElement} element - Points display element
- * @param {number} value - Current value
+ * Adds a warning point to the dialog
  */
-function updatePointsStyle(element, value) {
-    if (value <= 3 && value > 0) {
-        element.classList.add('low');
-    } else {
-        element.classList.remove('low');
+function addWarning() {
+    readWarningRows();
+    editingAlerts.warnings.push({ at: 10, unit: 'seconds', frequency: AUDIO_FREQUENCY, beeps: 1, volume: 0.25 });
+    renderWarningRows();
+}
+
+/**
+ * Removes a warning point from the dialog
+ * @param {number} index - Position of the warning
+ */
+function removeWarning(index) {
+    readWarningRows();
+    editingAlerts.warnings.splice(index, 1);
+    renderWarningRows();
+}
+
+/**
+ * Plays a warning from the dialog as it is currently set
+ * @param {number} index - Position of the warning
+ */
+function previewWarning(index) {
+    readWarningRows();
+    playWarning(editingAlerts.warnings[index]);
+}
+
+/**
+ * Plays one round of the alarm profile chosen in the dialog
+ */
+function previewAlarm() {
+    const profile = ALARM_PROFILES[document.getElementById('alarmProfile').value];
+    playAlarmPattern(profile, parseFloat(document.getElementById('alarmVolume').value));
+}
+
+/**
+ * Saves the sound & alerts dialog
+ */
+function saveAlertSettings() {
+    readWarningRows();
+    editingAlerts.alarmProfile = document.getElementById('alarmProfile').value;
+    editingAlerts.alarmVolume = parseFloat(document.getElementById('alarmVolume').value);
+    editingAlerts.warningColorAt = parseInt(document.getElementById('warningColorAt').value);
+    editingAlerts.dangerColorAt = parseInt(document.getElementById('dangerColorAt').value);
+    editingAlerts.spokenCountdown = document.getElementById('spokenCountdown').checked;
+    editingAlerts.countdownFrom = parseInt(document.getElementById('countdownFrom').value);
+    editingAlerts.muted = state.alerts.muted;
+    
+    const errors = validateAlertSettings(editingAlerts);
+    if (errors.length > 0) {
+        document.getElementById('alertsError').textContent = errors.join('. ');
+        return;
     }
+    
+    recordAction('Edit Sound & Alerts');
+    state.alerts = editingAlerts;
+    editingAlerts = null;
+    
+    updateTimerDisplay();
+    closeModal('alertsModal');
+    saveState();
 }
 
 // ============================================
-// Custom Trackers
+// Turn Structure
 // ============================================
 
 /**
- * Adds a new custom tracker
+ * Moves the game to the next phase, rolling over into a new turn after the end phase
  */
-function addCustomTracker() {
-    const nameInput = document.getElementById('customName');
-    const defaultInput = document.getElementById('customDefault');
+function advancePhase() {
+    const previous = getCurrentPhase();
+    const index = TURN_PHASES.indexOf(previous);
     
-    const name = nameInput.value.trim();
-    const defaultValue = Math.max(0, parseInt(defaultInput.value) || 10);
+    recordAction('Next phase');
     
-    if (!name) {
-        nameInput.focus();
-        return;
+    // Leaving the timed phase ends the Marine turn
+    if (previous.timed) {
+        recordTurnTime(state.timer.defaultMinutes * 60 - getRemainingSeconds());
+        pauseTimer();
+        stopAlarm();
     }
     
-    const tracker = {
-        id: state.nextTrackerId++,
-        name: name,
-        defaultValue: defaultValue,
-        value: defaultValue
-    };
-    
-    state.customTrackers.push(tracker);
-    state.visibility[`custom-${tracker.id}`] = true;
-    renderCustomTracker(tracker);
-    addCustomTrackerMenuItem(tracker);
+    if (index === TURN_PHASES.length - 1) {
+        state.turn.number++;
+        state.turn.phase = TURN_PHASES[0].id;
+    } else {
+        state.turn.phase = TURN_PHASES[index + 1].id;
+    }
     
-    // Clear inputs
-    nameInput.value = '';
-    defaultInput.value = '10';
+    logEvent('phase', { label: getCurrentPhase().label });
     
+    // Phase effects such as the command point draw are part of this action
+    withoutHistory(() => enterPhase(getCurrentPhase()));
+    updateTurnDisplay();
+    announce(`Turn ${state.turn.number}, ${getCurrentPhase().label}`);
     saveState();
 }
 
 /**
- * Renders a custom tracker to the DOM
- * @param {Object} tracker - Tracker object
+ * Applies the automatic effects of entering a phase
+ * @param {Object} phase - Phase definition being entered
  */
-function renderCustomTracker(tracker) {
-    const container = document.getElementById('customTrackersContainer');
-    
-    const trackerEl = document.createElement('section');
-    trackerEl.className = 'tracker-section custom-section';
-    trackerEl.id = `tracker-${tracker.id}`;
-    trackerEl.innerHTML = `
-        <div class="section-header">
-            <h3>${escapeHtml(tracker.name)}</h3>
-            <button class="btn-visibility" onclick="toggleTrackerVisibility('custom-${tracker.id}')" aria-label="Hide tracker">
-                <span class="material-symbols-outlined">visibility_off</span>
-            </button>
-        </div>
-        <div class="tracker-content" id="customContent-${tracker.id}">
-            <div class="custom-tracker">
-                <div class="custom-tracker-header">
-                    <button class="btn-remove" onclick="removeCustomTracker(${tracker.id})" aria-label="Remove tracker" title="Remove this tracker">
-                        <span class="material-symbols-outlined">delete</span>
-                    </button>
-                </div>
-                <div class="points-display">
-                    <button class="btn btn-adjust" onclick="adjustPoints('custom-${tracker.id}', -1)">−</button>
-                    <div class="points-value" id="customPoints-${tracker.id}">${tracker.value}</div>
-                    <button class="btn btn-adjust" onclick="adjustPoints('custom-${tracker.id}', 1)">+</button>
-                </div>
-                <div class="points-reset">
-                    <button class="btn btn-small" onclick="resetCustomTracker(${tracker.id})">Reset to ${tracker.defaultValue}</button>
-                </div>
-            </div>
-        </div>
-    `;
+function enterPhase(phase) {
+    syncPlayerClock(phase);
     
-    container.appendChild(trackerEl);
+    switch(phase.id) {
+        case 'genestealerReinforcement':
+            // A new turn - flames from the last one burn out
+            clearBlipsEntered();
+            clearWeaponMarkers();
+            break;
+        case 'marineCommand':
+            drawCommandPoints();
+            break;
+        case 'marineAction':
+            resetTimer();
+            startTimer();
+            break;
+    }
 }
 
 /**
- * Resets a custom tracker to its default value
- * @param {number} id - Tracker ID
+ * Draws new command points for the Marine turn
  */
-function resetCustomTracker(id) {
-    const tracker = state.customTrackers.find(t => t.id === id);
-    if (tracker) {
-        tracker.value = tracker.defaultValue;
-        const element = document.getElementById(`customPoints-${id}`);
-        if (element) {
-            element.textContent = tracker.value;
-            updatePointsStyle(element, tracker.value);
-        }
-        saveState();
-    }
+function drawCommandPoints() {
+    recordRoll(rollCommandPoints());
 }
 
 /**
- * Removes a custom tracker
- * @param {number} id - Tracker ID
+ * Resets the game back to the first phase of turn 1
  */
-function removeCustomTracker(id) {
-    state.customTrackers = state.customTrackers.filter(t => t.id !== id);
-    const element = document.getElementById(`tracker-${id}`);
-    if (element) {
-        element.remove();
-    }
-    removeCustomTrackerMenuItem(id);
-    delete state.visibility[`custom-${id}`];
+function resetTurns() {
+    recordAction('New game', true);
+    pauseTimer();
+    stopAlarm();
+    logEvent('newGame');
+    state.turn.number = 1;
+    state.turn.phase = TURN_PHASES[0].id;
+    resetPlayerClocks();
+    updateTurnDisplay();
     saveState();
 }
 
 /**
- * Adds a menu item for a custom tracker
- * @param {Object} tracker - Tracker object
+ * Updates the turn counter, phase label and timer controls
  */
-function addCustomTrackerMenuItem(tracker) {
-    const menuItems = document.getElementById('menuItems');
-    
-    const menuItem = document.createElement('label');
-    menuItem.className = 'menu-item';
-    menuItem.id = `menuItem-custom-${tracker.id}`;
-    menuItem.innerHTML = `
-        <input type="checkbox" id="menuCustom-${tracker.id}" checked>
-        <span>${escapeHtml(tracker.name)}</span>
-    `;
+function updateTurnDisplay() {
+    const phase = getCurrentPhase();
+    document.getElementById('turnNumber').textContent = state.turn.number;
+    document.getElementById('turnPhase').textContent = phase.label;
     
-    menuItems.appendChild(menuItem);
+    // The timer can only be started during the Marine action phase
+    document.getElementById('startTimer').disabled = !phase.timed;
+    document.getElementById('timerSection').classList.toggle('timed-phase', phase.timed);
     
-    // Add event listener
-    document.getElementById(`menuCustom-${tracker.id}`).addEventListener('change', () => {
-        handleMenuCheckboxChange(`custom-${tracker.id}`);
-    });
-}
-
-/**
- * Removes a menu item for a custom tracker
- * @param {number} id - Tracker ID
- */
-function removeCustomTrackerMenuItem(id) {
-    const menuItem = document.getElementById(`menuItem-custom-${id}`);
-    if (menuItem) {
-        menuItem.remove();
-    }
+    updateWakeLock();
 }
 
 // ============================================
-// Tracker Visibility
+// Two-Player Mode
 // ============================================
 
+// How often the player clocks redraw (ms)
+const PLAYER_CLOCK_TICK_INTERVAL = 1000;
+
 /**
- * Toggles visibility of a tracker section
- * @param {string} tracker - Tracker name (librarian, cannon, command, or custom-{id})
+ * Gets the time a player has spent on the clock, including the running stretch
+ * @param {string} side - marine or genestealer
+ * @returns {number} Elapsed milliseconds
  */
-function toggleTrackerVisibility(tracker) {
-    state.visibility[tracker] = !state.visibility[tracker];
-    updateTrackerVisibility(tracker);
-    updateMenuCheckbox(tracker);
-    saveState();
+function getPlayerElapsed(side) {
+    const running = state.timer.activePlayer === side ? clock() - state.timer.activeSince : 0;
+    return state.timer.elapsed[side] + running;
 }
 
 /**
- * Updates the visibility of a tracker section in the DOM
- * @param {string} tracker - Tracker name
+ * Starts a player's clock, stopping the other one
+ * @param {string} side - marine or genestealer
  */
-function updateTrackerVisibility(tracker) {
-    const sectionMap = {
-        librarian: 'librarianSection',
-        cannon: 'cannonSection',
-        command: 'commandSection'
-    };
-    
-    let section;
-    if (tracker.startsWith('custom-')) {
-        const id = tracker.replace('custom-', '');
-        section = document.getElementById(`tracker-${id}`);
-    } else {
-        section = document.getElementById(sectionMap[tracker]);
-    }
+function startPlayerClock(side) {
+    if (state.timer.activePlayer === side) return;
     
-    if (section) {
-        if (state.visibility[tracker]) {
-            section.classList.remove('hidden-tracker');
-        } else {
-            section.classList.add('hidden-tracker');
-        }
-    }
+    stopPlayerClock();
+    state.timer.activePlayer = side;
+    state.timer.activeSince = clock();
+    runPlayerClock();
+    logEvent('clockSwitch', { label: PLAYER_SIDES[side] });
+    updatePlayerClocks();
 }
 
 /**
- * Updates the menu checkbox to reflect visibility state
- * @param {string} tracker - Tracker name
+ * Runs the redraw loop for the player clocks
  */
-function updateMenuCheckbox(tracker) {
-    const checkboxMap = {
-        librarian: 'menuLibrarian',
-        cannon: 'menuCannon',
-        command: 'menuCommand'
-    };
-    
-    let checkbox;
-    if (tracker.startsWith('custom-')) {
-        checkbox = document.getElementById(`menuCustom-${tracker.replace('custom-', '')}`);
-    } else {
-        checkbox = document.getElementById(checkboxMap[tracker]);
+function runPlayerClock() {
+    if (state.timer.playerClockIntervalId) {
+        clearInterval(state.timer.playerClockIntervalId);
     }
+    state.timer.playerClockIntervalId = setInterval(updatePlayerClocks, PLAYER_CLOCK_TICK_INTERVAL);
+}
+
+/**
+ * Stops whichever player clock is running and banks its time
+ */
+function stopPlayerClock() {
+    const side = state.timer.activePlayer;
+    if (!side) return;
     
-    if (checkbox) {
-        checkbox.checked = state.visibility[tracker];
+    state.timer.elapsed[side] = getPlayerElapsed(side);
+    state.timer.activePlayer = null;
+    state.timer.activeSince = null;
+    if (state.timer.playerClockIntervalId) {
+        clearInterval(state.timer.playerClockIntervalId);
+        state.timer.playerClockIntervalId = null;
     }
+    updatePlayerClocks();
 }
 
 /**
- * Handles menu checkbox change
- * @param {string} tracker - Tracker name
+ * Ends a player's time and starts the opponent's clock, as when pressing a chess clock
+ * @param {string} side - Side handing over the clock
  */
-function handleMenuCheckboxChange(tracker) {
-    const checkboxMap = {
-        librarian: 'menuLibrarian',
-        cannon: 'menuCannon',
-        command: 'menuCommand'
-    };
+function handOverClock(side) {
+    if (!state.players.chessClock) return;
+    // Only the player whose clock is running can hand it over
+    if (state.timer.activePlayer && state.timer.activePlayer !== side) return;
     
-    let checkbox;
-    if (tracker.startsWith('custom-')) {
-        checkbox = document.getElementById(`menuCustom-${tracker.replace('custom-', '')}`);
-    } else {
-        checkbox = document.getElementById(checkboxMap[tracker]);
-    }
+    const next = side === 'marine' ? 'genestealer' : 'marine';
+    startPlayerClock(next);
     
-    if (checkbox) {
-        state.visibility[tracker] = checkbox.checked;
-        updateTrackerVisibility(tracker);
-        saveState();
+    // The Marine turn timer only runs while the Marine player is on the clock
+    if (next === 'genestealer') {
+        pauseTimer();
+    } else {
+        startTimer();
     }
+    saveState();
 }
 
 /**
- * Opens the tracker menu
+ * Clears both player clocks
  */
-function openMenu() {
-    document.getElementById('trackerMenu').classList.add('open');
-    document.getElementById('menuOverlay').classList.add('open');
+function resetPlayerClocks() {
+    stopPlayerClock();
+    state.timer.elapsed = { marine: 0, genestealer: 0 };
+    updatePlayerClocks();
 }
 
 /**
- * Closes the tracker menu
+ * Starts the clock of the side playing a phase, or stops both in the end phase
+ * @param {Object} phase - Phase definition from TURN_PHASES
  */
-function closeMenu() {
-    document.getElementById('trackerMenu').classList.remove('open');
-    document.getElementById('menuOverlay').classList.remove('open');
+function syncPlayerClock(phase) {
+    if (!state.players.chessClock) return;
+    
+    if (phase.side) {
+        startPlayerClock(phase.side);
+    } else {
+        stopPlayerClock();
+    }
 }
 
-// ============================================
-// State Persistence
-// ============================================
+/**
+ * Updates both player clock displays
+ */
+function updatePlayerClocks() {
+    Object.keys(PLAYER_SIDES).forEach(side => {
+        const button = document.getElementById(`${side}Clock`);
+        button.querySelector('.player-clock-time').textContent = formatDuration(Math.floor(getPlayerElapsed(side) / 1000));
+        button.classList.toggle('active', state.timer.activePlayer === side);
+    });
+}
 
 /**
- * Saves current state to localStorage
+ * Moves a blip from the reserve onto the board
  */
-function saveState() {
-    const saveData = {
+function enterBlip() {
+    if (state.blipPool <= getTrackerSettings('blips').min) return;
+    
+    recordAction('Enter blip');
+    withoutHistory(() => {
+        adjustPoints('blips', -1);
+        adjustPoints('blipsEntered', 1);
+    });
+}
+
+/**
+ * Starts a new count of blips entered for the turn
+ */
+function clearBlipsEntered() {
+    setTrackerValue('blipsEntered', 0);
+    updateTrackerValueDisplay('blipsEntered');
+}
+
+/**
+ * Turns a two-player option on or off
+ * @param {string} option - twoPlayer, chessClock or tableTop
+ * @param {boolean} enabled - Whether the option is on
+ */
+function setPlayerOption(option, enabled) {
+    state.players[option] = enabled;
+    
+    // The chess clock needs both players at the table
+    if (option === 'twoPlayer' && !enabled) {
+        state.players.chessClock = false;
+    }
+    if (option === 'chessClock' && enabled) {
+        state.players.twoPlayer = true;
+        syncPlayerClock(getCurrentPhase());
+    }
+    if (!state.players.chessClock) {
+        stopPlayerClock();
+    }
+    
+    updatePlayerLayout();
+    saveState();
+}
+
+/**
+ * Shows the Genestealer panel, player clocks and table-top layout as set
+ */
+function updatePlayerLayout() {
+    const { twoPlayer, chessClock, tableTop } = state.players;
+    
+    document.getElementById('genestealerSection').classList.toggle('hidden-tracker', !twoPlayer);
+    document.querySelectorAll('.player-clock').forEach(el => el.classList.toggle('hidden', !chessClock));
+    document.body.classList.toggle('table-top', twoPlayer && tableTop);
+    
+    document.getElementById('menuTwoPlayer').checked = twoPlayer;
+    document.getElementById('menuChessClock').checked = chessClock;
+    document.getElementById('menuTableTop').checked = tableTop;
+    document.getElementById('menuTableTop').disabled = !twoPlayer;
+    
+    updatePlayerClocks();
+}
+
+// ============================================
+// Points Management
+// ============================================
+
+/**
+ * Adjusts points for a tracker
+ * @param {string} type - Type of tracker (a registry tracker, weapon module, blips or blipsEntered)
+ * @param {number} delta - Amount to change, clamped to the tracker's limits
+ */
+function adjustPoints(type, delta) {
+    const previousValue = getTrackerValue(type);
+    if (previousValue === undefined) return;
+    
+    recordAction(`${getTrackerLabel(type)} ${delta > 0 ? '+' : '−'}${Math.abs(delta)}`);
+    const newValue = setTrackerValue(type, previousValue + delta);
+    const element = updateTrackerValueDisplay(type);
+    
+    // Log the change actually applied after clamping
+    if (newValue !== previousValue) {
+        logEvent('adjust', {
+            tracker: type,
+            label: getTrackerLabel(type),
+            delta: newValue - previousValue,
+            value: newValue
+        });
+        
+        const settings = getTrackerSettings(type);
+        if (settings.zeroAlert && newValue === settings.min && previousValue > settings.min) {
+            alertDepleted(element);
+        }
+        
+        notifyTrackerListeners(type, newValue, previousValue);
+    }
+    
+    saveState();
+}
+
+/**
+ * Resets points for a tracker to default value
+ * @param {string} type - Type of tracker
+ * @param {number} value - Value to reset to, clamped to the tracker's limits
+ */
+function resetPoints(type, value) {
+    const definition = getTrackerDefinition(type);
+    const previousValue = getTrackerValue(type);
+    if (previousValue === undefined) return;
+    
+    recordAction(`Reset ${definition.label}`, true);
+    
+    // A full weapon reset also gives back its reloads and a working weapon
+    if (definition.weapon) {
+        definition.store.reloads = definition.store.maxReloads;
+        definition.store.destroyed = false;
+    }
+    const defaultValue = setTrackerValue(type, value);
+    updateTrackerValueDisplay(type);
+    
+    logEvent('reset', { tracker: type, label: definition.label, value: defaultValue });
+    if (defaultValue !== previousValue) {
+        notifyTrackerListeners(type, defaultValue, previousValue);
+    }
+    
+    saveState();
+}
+
+/**
+ * Shows the current value of a tracker on the board, and the state of a weapon around it
+ * @param {string} type - Type of tracker
+ * @returns {HTMLElement|null} Points display element
+ */
+function updateTrackerValueDisplay(type) {
+    const definition = getTrackerDefinition(type);
+    const element = document.getElementById(definition.points);
+    const value = getTrackerValue(type);
+    
+    if (element) {
+        element.textContent = value;
+        updatePointsStyle(element, value);
+    }
+    if (definition.weapon) {
+        updateWeaponDisplay(type);
+    }
+    return element;
+}
+
+/**
+ * Updates visual style based on points value and the tracker's low warning threshold
+ * @param {HTMLElement} element - Points display element, with the tracker type in data-tracker
+ * @param {number} value - Current value
+ */
+function updatePointsStyle(element, value) {
+    const settings = getTrackerSettings(element.dataset.tracker);
+    if (value <= settings.lowThreshold && value > settings.min) {
+        element.classList.add('low');
+    } else {
+        element.classList.remove('low');
+    }
+}
+
+// ============================================
+// Tracker Settings
+// ============================================
+
+// How long a depleted tracker flashes (ms)
+const DEPLETED_FLASH_DURATION = 1500;
+
+// Tracker being edited in the settings dialog
+let editingTracker = null;
+
+/**
+ * Adjusts a tracker by its step size, as done by the −/+ buttons
+ * @param {string} type - Type of tracker
+ * @param {number} direction - -1 to decrease or 1 to increase
+ */
+function stepPoints(type, direction) {
+    adjustPoints(type, direction * getTrackerSettings(type).step);
+}
+
+/**
+ * Plays the depletion alert for a tracker that just ran out
+ * @param {HTMLElement} element - Points display element
+ */
+function alertDepleted(element) {
+    playBeeps(3, 0.15, 0.2, 0.3);
+    
+    if ('vibrate' in navigator) {
+        try {
+            navigator.vibrate([300, 100, 300]);
+        } catch (e) {
+            // Vibration may fail due to permissions or other issues
+        }
+    }
+    
+    element.classList.add('depleted');
+    setTimeout(() => element.classList.remove('depleted'), DEPLETED_FLASH_DURATION);
+}
+
+/**
+ * Opens the settings dialog for a tracker
+ * @param {string} type - Type of tracker
+ */
+function openTrackerEditor(type) {
+    const settings = getTrackerSettings(type);
+    const registered = getTracker(type);
+    editingTracker = type;
+    
+    // Weapon and blip counters are named and reset by their own modules
+    document.getElementById('trackerEditTitle').textContent = getTrackerLabel(type).toUpperCase();
+    document.getElementById('trackerEditDefinition').hidden = !registered;
+    document.getElementById('trackerEditName').value = registered ? registered.name : '';
+    document.getElementById('trackerEditDefault').value = registered ? registered.defaultValue : '';
+    document.getElementById('trackerEditMin').value = settings.min;
+    document.getElementById('trackerEditMax').value = settings.max === null ? '' : settings.max;
+    document.getElementById('trackerEditStep').value = settings.step;
+    document.getElementById('trackerEditLow').value = settings.lowThreshold;
+    document.getElementById('trackerEditAlert').checked = settings.zeroAlert;
+    document.getElementById('trackerEditError').textContent = '';
+    
+    openModal('trackerEditModal');
+}
+
+/**
+ * Saves the settings dialog to the tracker being edited
+ */
+function saveTrackerEditor() {
+    const type = editingTracker;
+    if (!type) return;
+    
+    const registered = getTracker(type);
+    const readInt = id => {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : parseInt(value);
+    };
+    const settings = createTrackerSettings({
+        min: readInt('trackerEditMin') ?? 0,
+        max: readInt('trackerEditMax'),
+        step: readInt('trackerEditStep') ?? 1,
+        lowThreshold: readInt('trackerEditLow') ?? 0,
+        zeroAlert: document.getElementById('trackerEditAlert').checked
+    });
+    const name = document.getElementById('trackerEditName').value.trim();
+    const defaultValue = readInt('trackerEditDefault');
+    
+    const errors = validateTrackerSettings(settings, 'Tracker');
+    if (registered) {
+        if (!name) {
+            errors.push('Name is required');
+        }
+        if (defaultValue === null || Number.isNaN(defaultValue) || defaultValue < settings.min ||
+            (settings.max !== null && defaultValue > settings.max)) {
+            errors.push('Default value must be within the minimum and maximum');
+        }
+    }
+    if (errors.length > 0) {
+        document.getElementById('trackerEditError').textContent = errors.join('. ');
+        return;
+    }
+    
+    recordAction(`Edit ${getTrackerLabel(type)}`);
+    
+    if (registered) {
+        registered.name = name;
+        registered.defaultValue = defaultValue;
+        registered.settings = settings;
+        registered.value = clampTrackerValue(type, registered.value);
+        renderTrackers();
+    } else {
+        state.trackerSettings[type] = settings;
+        withoutHistory(() => adjustPoints(type, 0));
+    }
+    
+    editingTracker = null;
+    closeModal('trackerEditModal');
+    saveState();
+}
+
+// ============================================
+// Weapon Modules
+// ============================================
+
+// Score needed on a D6 for the Assault Cannon to explode when firing its final shot
+const CANNON_EXPLOSION_ROLL = 4;
+
+// The overheat roll needs the dice dialog, so it is hooked onto the weapon here rather than in core/state.js
+WEAPON_MODULES.cannon.afterFire = checkCannonOverheat;
+
+/**
+ * Fires one shot from a weapon
+ * @param {string} id - Key of WEAPON_MODULES
+ */
+function fireWeapon(id) {
+    const module = WEAPON_MODULES[id];
+    const weapon = state.weapons[id];
+    if (weapon.destroyed || weapon.ammo === 0) return;
+    
+    recordAction(`Fire ${module.name}`);
+    withoutHistory(() => {
+        adjustPoints(id, -1);
+        
+        // Area weapons leave flames on the board section they hit
+        if (module.areaEffect) {
+            const targetInput = document.getElementById(`${id}Target`);
+            const target = targetInput.value.trim();
+            if (target) {
+                addWeaponMarker(id, target);
+                targetInput.value = '';
+            }
+        }
+    });
+    
+    if (module.afterFire) {
+        module.afterFire(id);
+    }
+}
+
+/**
+ * Reloads a weapon - only possible once it is out of ammo and has a reload left
+ * @param {string} id - Key of WEAPON_MODULES
+ */
+function reloadWeapon(id) {
+    const module = WEAPON_MODULES[id];
+    const weapon = state.weapons[id];
+    if (weapon.destroyed || weapon.ammo > 0 || weapon.reloads === 0) return;
+    
+    recordAction(`Reload ${module.name}`);
+    weapon.reloads--;
+    setTrackerValue(id, module.ammo);
+    logEvent('weaponReload', { tracker: id, label: getTrackerLabel(id), value: weapon.ammo });
+    
+    updateTrackerValueDisplay(id);
+    saveState();
+}
+
+/**
+ * Opens the explosion roll after the Assault Cannon's last shot following the reload
+ * @param {string} id - Weapon that fired
+ */
+function checkCannonOverheat(id) {
+    const weapon = state.weapons[id];
+    if (weapon.ammo === 0 && weapon.reloads === 0) {
+        document.getElementById('cannonExplosionRoll').textContent = CANNON_EXPLOSION_ROLL;
+        openModal('cannonModal');
+    }
+}
+
+/**
+ * Records the result of the explosion roll after the final shot
+ * @param {boolean} exploded - Whether the cannon exploded
+ */
+function resolveCannonExplosion(exploded) {
+    closeModal('cannonModal');
+    if (!exploded) return;
+    
+    recordAction('Assault Cannon exploded', true);
+    state.weapons.cannon.destroyed = true;
+    logEvent('cannonExplode', { tracker: 'cannon', label: getTrackerLabel('cannon') });
+    updateWeaponDisplay('cannon');
+    saveState();
+}
+
+/**
+ * Places an area-effect marker on a board section
+ * @param {string} id - Key of WEAPON_MODULES
+ * @param {string} section - Board section name
+ */
+function addWeaponMarker(id, section) {
+    state.weapons[id].markers.push(section);
+    logEvent('weaponMarker', { tracker: id, label: `${WEAPON_MODULES[id].name} - ${section}` });
+    updateWeaponDisplay(id);
+}
+
+/**
+ * Removes an area-effect marker from the board
+ * @param {string} id - Key of WEAPON_MODULES
+ * @param {number} index - Position of the marker
+ */
+function removeWeaponMarker(id, index) {
+    const markers = state.weapons[id].markers;
+    if (!markers[index]) return;
+    
+    recordAction(`Clear flames from ${markers[index]}`);
+    markers.splice(index, 1);
+    updateWeaponDisplay(id);
+    saveState();
+}
+
+/**
+ * Clears the area-effect markers of every weapon at the end of the turn
+ */
+function clearWeaponMarkers() {
+    Object.keys(WEAPON_MODULES).forEach(id => {
+        if (state.weapons[id].markers.length > 0) {
+            state.weapons[id].markers = [];
+            updateWeaponDisplay(id);
+        }
+    });
+}
+
+/**
+ * Updates a weapon's reload counter, status, markers and action buttons
+ * @param {string} id - Key of WEAPON_MODULES
+ */
+function updateWeaponDisplay(id) {
+    const weapon = state.weapons[id];
+    const status = document.getElementById(`${id}Status`);
+    let text;
+    let statusClass;
+    
+    if (weapon.destroyed) {
+        text = 'Destroyed';
+        statusClass = 'danger';
+    } else if (weapon.ammo > 0) {
+        text = 'Loaded';
+        statusClass = '';
+    } else if (weapon.reloads > 0) {
+        text = 'Out of ammo - reload available';
+        statusClass = 'warning';
+    } else {
+        text = 'Out of ammo';
+        statusClass = 'danger';
+    }
+    
+    status.textContent = text;
+    status.className = `weapon-status ${statusClass}`.trim();
+    document.getElementById(`${id}Reloads`).textContent = weapon.reloads;
+    document.getElementById(`${id}Default`).textContent = getTrackerDefault(id);
+    document.getElementById(`${id}Fire`).disabled = weapon.destroyed || weapon.ammo === 0;
+    document.getElementById(`${id}Reload`).disabled = weapon.destroyed || weapon.ammo > 0 || weapon.reloads === 0;
+    
+    const markerList = document.getElementById(`${id}Markers`);
+    if (markerList) {
+        markerList.innerHTML = weapon.markers.map((section, index) => `
+            <li class="weapon-marker">
+                <span>${escapeHtml(section)}</span>
+                <button class="btn-icon" onclick="removeWeaponMarker('${id}', ${index})" aria-label="Clear flames">
+                    <span class="material-symbols-outlined">close</span>
+                </button>
+            </li>
+        `).join('');
+    }
+}
+
+/**
+ * Updates every weapon section
+ */
+function updateWeaponDisplays() {
+    Object.keys(WEAPON_MODULES).forEach(updateWeaponDisplay);
+}
+
+/**
+ * Builds the tracker sections and menu items of every weapon module - renderLayout puts the sections in place
+ */
+function renderWeaponModules() {
+    const container = document.getElementById('board');
+    const menu = document.getElementById('weaponMenuItems');
+    
+    Object.entries(WEAPON_MODULES).forEach(([id, module]) => {
+        const section = document.createElement('section');
+        section.className = `tracker-section weapon-section ${id}-section`;
+        section.id = `${id}Section`;
+        section.innerHTML = `
+            ${createTrackerActions(id, module.label)}
+            <div class="section-header">
+                <h3>${escapeHtml(module.label.toUpperCase())}</h3>
+                <button class="btn-edit" onclick="openTrackerEditor('${id}')" aria-label="Edit ${escapeHtml(module.label)}">
+                    <span class="material-symbols-outlined">tune</span>
+                </button>
+                <button class="btn-visibility" onclick="toggleTrackerVisibility('${id}')" aria-label="Hide ${escapeHtml(module.label)}">
+                    <span class="material-symbols-outlined">visibility_off</span>
+                </button>
+            </div>
+            <div class="tracker-content">
+                <div class="points-display">
+                    <button class="btn btn-adjust" onclick="stepPoints('${id}', -1)" aria-label="Decrease ${escapeHtml(module.label)}">−</button>
+                    <div class="points-value" id="${id}Points" data-tracker="${id}">${module.ammo}</div>
+                    <button class="btn btn-adjust" onclick="stepPoints('${id}', 1)" aria-label="Increase ${escapeHtml(module.label)}">+</button>
+                </div>
+                <div class="weapon-info">
+                    <span class="weapon-status" id="${id}Status">Loaded</span>
+                    <span class="weapon-reloads">Reloads: <span id="${id}Reloads">${module.reloads}</span></span>
+                </div>
+                ${module.areaEffect ? `
+                    <div class="add-tracker">
+                        <input type="text" id="${id}Target" placeholder="Board Section">
+                    </div>
+                    <ul class="weapon-markers" id="${id}Markers"></ul>
+                ` : ''}
+                <div class="timer-controls">
+                    <button id="${id}Fire" class="btn btn-primary" onclick="fireWeapon('${id}')">FIRE</button>
+                    <button id="${id}Reload" class="btn btn-secondary" onclick="reloadWeapon('${id}')" disabled>RELOAD</button>
+                </div>
+                <div class="points-reset">
+                    <button class="btn btn-small" onclick="tracker.reset('${id}')">Reset to <span id="${id}Default">${module.ammo}</span></button>
+                </div>
+            </div>
+        `;
+        container.appendChild(section);
+        
+        const menuItem = document.createElement('label');
+        menuItem.className = 'menu-item';
+        menuItem.id = `menuItem-${id}`;
+        menuItem.innerHTML = `
+            <input type="checkbox" id="menuWeapon-${id}" checked>
+            <span>${escapeHtml(module.label)}</span>
+        `;
+        menuItem.querySelector('input').addEventListener('change', () => handleMenuCheckboxChange(id));
+        menu.appendChild(menuItem);
+        
+        // Weapons hidden by default stay hidden until a saved game says otherwise
+        updateTrackerVisibility(id);
+        updateMenuCheckbox(id);
+    });
+}
+
+// ============================================
+// Dice Roller
+// ============================================
+
+// Unicode die faces, indexed by value - 1
+const DIE_FACES = ['⚀', '⚁', '⚂', '⚃', '⚄', '⚅'];
+
+// Number of rolls kept in the roll history
+const ROLL_HISTORY_LIMIT = 50;
+
+// Random source for all rolls - replaced by a seeded generator for repeatable results
+let rng = Math.random;
+
+// Rolls of the active game session, most recent last
+let rollHistory = [];
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning a number in [0, 1)
+ */
+function createSeededRng(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Seeds the dice so the same sequence of rolls can be reproduced
+ * @param {number|null} seed - Seed to use, or null to go back to Math.random
+ */
+function setDiceSeed(seed) {
+    rng = seed === null || seed === undefined ? Math.random : createSeededRng(seed);
+}
+
+/**
+ * Rolls a single die
+ * @param {number} sides - Number of sides
+ * @returns {number} Result from 1 to sides
+ */
+function rollDie(sides = 6) {
+    return Math.floor(rng() * sides) + 1;
+}
+
+/**
+ * Rolls several dice
+ * @param {number} count - Number of dice
+ * @param {number} sides - Number of sides per die
+ * @returns {number[]} Individual results
+ */
+function rollDice(count, sides = 6) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        results.push(rollDie(sides));
+    }
+    return results;
+}
+
+/**
+ * Rolls plain D6s
+ * @param {number} count - Number of dice
+ * @returns {Object} Roll result
+ */
+function rollPlain(count) {
+    const dice = rollDice(Math.max(1, Math.min(10, count)));
+    return {
+        type: 'plain',
+        dice: dice,
+        summary: `${dice.length}D6: total ${dice.reduce((sum, d) => sum + d, 0)}`
+    };
+}
+
+/**
+ * Rolls Marine shooting - 2D6, a hit if either die reaches the target number
+ * @param {number} target - Score needed on a die to hit
+ * @returns {Object} Roll result
+ */
+function rollShooting(target) {
+    const dice = rollDice(2);
+    const hit = dice.some(d => d >= target);
+    return {
+        type: 'shooting',
+        dice: dice,
+        target: target,
+        success: hit,
+        summary: `Shooting (${target}+): ${hit ? 'HIT' : 'MISS'}`
+    };
+}
+
+/**
+ * Rolls close assault - the Marine's 1D6 against the Genestealer's best of 3D6
+ * @returns {Object} Roll result
+ */
+function rollCloseAssault() {
+    const marine = rollDice(1);
+    const genestealer = rollDice(3);
+    const marineBest = Math.max(...marine);
+    const genestealerBest = Math.max(...genestealer);
+    
+    let outcome;
+    if (marineBest > genestealerBest) {
+        outcome = 'Marine wins';
+    } else if (genestealerBest > marineBest) {
+        outcome = 'Genestealer wins';
+    } else {
+        outcome = 'Stand-off';
+    }
+    
+    return {
+        type: 'assault',
+        dice: marine,
+        opposingDice: genestealer,
+        success: marineBest > genestealerBest,
+        summary: `Close assault ${marineBest} vs ${genestealerBest}: ${outcome}`
+    };
+}
+
+/**
+ * Rolls a psychic test - 1D6 plus the psychic points spent, spending the points automatically
+ * @param {number} spend - Psychic points to spend on the test
+ * @param {number} target - Total needed to pass
+ * @returns {Object|null} Roll result, or null when there are not enough psychic points
+ */
+function rollPsychicTest(spend, target) {
+    if (spend > tracker.get('psychic')) return null;
+    
+    if (spend > 0) {
+        withoutHistory(() => adjustPoints('psychic', -spend));
+    }
+    const dice = rollDice(1);
+    const total = dice[0] + spend;
+    return {
+        type: 'psychic',
+        dice: dice,
+        target: target,
+        spent: spend,
+        success: total >= target,
+        summary: `Psychic test ${dice[0]} + ${spend} = ${total} vs ${target}: ${total >= target ? 'PASSED' : 'FAILED'}`
+    };
+}
+
+/**
+ * Draws command points with a D6 and sets them directly
+ * @returns {Object} Roll result
+ */
+function rollCommandPoints() {
+    const dice = rollDice(1);
+    withoutHistory(() => resetPoints('command', dice[0]));
+    const value = getTrackerValue('command');
+    return {
+        type: 'command',
+        dice: dice,
+        summary: `Command points drawn: ${dice[0]}${value !== dice[0] ? ` (limited to ${value})` : ''}`
+    };
+}
+
+/**
+ * Runs a roll from the dice panel and records it
+ * @param {string} type - Roll type (plain, shooting, assault, psychic, or command)
+ */
+function handleRoll(type) {
+    const count = parseInt(document.getElementById('diceCount').value) || 1;
+    const target = Math.max(1, parseInt(document.getElementById('diceTarget').value) || 6);
+    const spend = Math.max(0, parseInt(document.getElementById('diceSpend').value) || 0);
+    
+    let result;
+    switch(type) {
+        case 'plain':
+            result = rollPlain(count);
+            break;
+        case 'shooting':
+            result = rollShooting(target);
+            break;
+        case 'assault':
+            result = rollCloseAssault();
+            break;
+        case 'psychic':
+            if (spend > tracker.get('psychic')) {
+                showRollError('Not enough psychic points');
+                return;
+            }
+            recordAction(`Psychic test (${spend})`);
+            result = rollPsychicTest(spend, target);
+            break;
+        case 'command':
+            recordAction('Draw Command Points');
+            result = rollCommandPoints();
+            break;
+        default:
+            return;
+    }
+    
+    recordRoll(result);
+}
+
+/**
+ * Adds a roll to the roll history and the event log
+ * @param {Object} result - Roll result
+ */
+function recordRoll(result) {
+    rollHistory.push({ ...result, timestamp: Date.now() });
+    if (rollHistory.length > ROLL_HISTORY_LIMIT) {
+        rollHistory.shift();
+    }
+    logEvent('roll', { label: result.summary });
+    saveRollHistory();
+    updateDiceDisplay();
+}
+
+/**
+ * Shows a message in place of the last roll result
+ * @param {string} message - Message to display
+ */
+function showRollError(message) {
+    document.getElementById('diceResult').innerHTML = `<div class="dice-summary danger">${escapeHtml(message)}</div>`;
+}
+
+/**
+ * Formats dice as die face characters
+ * @param {number[]} dice - Die results
+ * @returns {string} Die faces
+ */
+function formatDiceFaces(dice) {
+    return dice.map(d => DIE_FACES[d - 1] || d).join(' ');
+}
+
+/**
+ * Updates the last roll and the roll history in the dice panel
+ */
+function updateDiceDisplay() {
+    const resultEl = document.getElementById('diceResult');
+    const last = rollHistory[rollHistory.length - 1];
+    
+    if (!last) {
+        resultEl.innerHTML = '<div class="dice-summary">No rolls yet</div>';
+    } else {
+        const resultClass = last.success === undefined ? '' : (last.success ? 'success' : 'danger');
+        resultEl.innerHTML = `
+            <div class="dice-faces">
+                ${formatDiceFaces(last.dice)}
+                ${last.opposingDice ? `<span class="dice-vs">vs</span> ${formatDiceFaces(last.opposingDice)}` : ''}
+            </div>
+            <div class="dice-summary ${resultClass}">${escapeHtml(last.summary)}</div>
+        `;
+    }
+    
+    // Most recent first, skipping the roll shown above
+    document.getElementById('rollHistory').innerHTML = rollHistory.slice(0, -1).reverse().map(roll => `
+        <li class="history-entry">
+            <span class="history-time">${formatTime(roll.timestamp)}</span>
+            <span class="history-label">${escapeHtml(roll.summary)}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Saves the roll history of the active session to localStorage
+ */
+function saveRollHistory() {
+    try {
+        localStorage.setItem(getSessionKey('spaceHulkTrackerRolls'), JSON.stringify(rollHistory));
+    } catch (e) {
+        console.warn('Failed to save roll history:', e);
+    }
+}
+
+/**
+ * Loads the roll history of the active session from localStorage
+ */
+function loadRollHistory() {
+    rollHistory = [];
+    try {
+        const saved = localStorage.getItem(getSessionKey('spaceHulkTrackerRolls'));
+        if (saved) {
+            const data = JSON.parse(saved);
+            rollHistory = Array.isArray(data) ? data.slice(-ROLL_HISTORY_LIMIT) : [];
+        }
+    } catch (e) {
+        console.warn('Failed to load roll history:', e);
+    }
+    updateDiceDisplay();
+}
+
+// ============================================
+// Squad Roster
+// ============================================
+
+// Standard squads that can be loaded into the roster
+const ROSTER_TEMPLATES = {
+    lorenzo: {
+        name: 'Squad Lorenzo',
+        marines: [
+            { name: 'Sergeant Lorenzo', weapon: 'powerSword' },
+            { name: 'Brother Deino', weapon: 'stormBolter' },
+            { name: 'Brother Goriel', weapon: 'stormBolter' },
+            { name: 'Brother Noctis', weapon: 'stormBolter' },
+            { name: 'Brother Valencio', weapon: 'stormBolter' },
+            { name: 'Brother Zael', weapon: 'heavyFlamer' }
+        ]
+    },
+    gideon: {
+        name: 'Squad Gideon',
+        marines: [
+            { name: 'Sergeant Gideon', weapon: 'thunderHammer' },
+            { name: 'Lexicanium Calistarius', weapon: 'forceAxe', librarian: true },
+            { name: 'Brother Claudio', weapon: 'lightningClaws' },
+            { name: 'Brother Leon', weapon: 'assaultCannon' },
+            { name: 'Brother Omnio', weapon: 'stormBolter' },
+            { name: 'Brother Scipio', weapon: 'stormBolter' }
+        ]
+    }
+};
+
+// Status toggles on each Marine card
+const MARINE_STATUSES = {
+    overwatch: 'Overwatch',
+    guard: 'Guard',
+    jammed: 'Jammed'
+};
+
+/**
+ * Creates a Marine for the roster
+ * @param {Object} marine - Name, weapon and whether the Marine is the Librarian
+ * @returns {Object} Roster entry
+ */
+function createMarine({ name, weapon, librarian = false }) {
+    return {
+        id: state.nextMarineId++,
+        name: name,
+        weapon: weapon,
+        librarian: librarian,
+        alive: true,
+        overwatch: false,
+        guard: false,
+        jammed: false
+    };
+}
+
+/**
+ * Adds a Marine from the roster form
+ */
+function addMarine() {
+    const nameInput = document.getElementById('marineName');
+    const name = nameInput.value.trim();
+    
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+    
+    recordAction(`Add ${name}`);
+    state.roster.push(createMarine({
+        name: name,
+        weapon: document.getElementById('marineWeapon').value,
+        librarian: document.getElementById('marineLibrarian').checked
+    }));
+    
+    nameInput.value = '';
+    document.getElementById('marineLibrarian').checked = false;
+    syncRosterSections();
+    renderRoster();
+    saveState();
+}
+
+/**
+ * Replaces the roster with a standard squad
+ * @param {string} templateId - Key of ROSTER_TEMPLATES
+ */
+function loadRosterTemplate(templateId) {
+    const template = ROSTER_TEMPLATES[templateId];
+    if (!template) return;
+    
+    recordAction(`Load ${template.name}`, state.roster.length > 0);
+    state.roster = template.marines.map(createMarine);
+    syncRosterSections();
+    renderRoster();
+    saveState();
+}
+
+/**
+ * Removes a Marine from the roster
+ * @param {number} id - Marine ID
+ */
+function removeMarine(id) {
+    const marine = state.roster.find(m => m.id === id);
+    if (!marine) return;
+    
+    recordAction(`Remove ${marine.name}`, true);
+    state.roster = state.roster.filter(m => m.id !== id);
+    syncRosterSections();
+    renderRoster();
+    saveState();
+}
+
+/**
+ * Changes the weapon a Marine carries
+ * @param {number} id - Marine ID
+ * @param {string} weapon - Key of WEAPONS
+ */
+function setMarineWeapon(id, weapon) {
+    const marine = state.roster.find(m => m.id === id);
+    if (!marine || !WEAPONS[weapon]) return;
+    
+    recordAction(`${marine.name}: ${WEAPONS[weapon].name}`);
+    marine.weapon = weapon;
+    
+    // Close combat weapons cannot hold overwatch
+    if (!WEAPONS[weapon].ranged) {
+        marine.overwatch = false;
+        marine.jammed = false;
+    }
+    syncRosterSections();
+    renderRoster();
+    saveState();
+}
+
+/**
+ * Kills or revives a Marine, hiding their weapon's tracker or the Librarian tracker with them
+ * @param {number} id - Marine ID
+ */
+function toggleMarineAlive(id) {
+    const marine = state.roster.find(m => m.id === id);
+    if (!marine) return;
+    
+    recordAction(`${marine.name} ${marine.alive ? 'killed' : 'revived'}`);
+    marine.alive = !marine.alive;
+    marine.overwatch = false;
+    marine.guard = false;
+    marine.jammed = false;
+    logEvent(marine.alive ? 'marineRevived' : 'marineKilled', { label: marine.name });
+    
+    syncRosterSections();
+    renderRoster();
+    saveState();
+}
+
+/**
+ * Shows or hides the weapon and Librarian trackers to match who carries them in the roster
+ */
+function syncRosterSections() {
+    Object.entries(WEAPON_MODULES).forEach(([id, module]) => {
+        syncRosterSection(id, m => m.weapon === module.rosterWeapon);
+    });
+    syncRosterSection('psychic', m => m.librarian);
+}
+
+/**
+ * Hides a tracker once every matching Marine is dead and shows it again while any lives,
+ * unless the player hid it themselves
+ * @param {string} tracker - Visibility key of the tracker
+ * @param {Function} matches - Picks the Marines the tracker belongs to
+ */
+function syncRosterSection(tracker, matches) {
+    const marines = state.roster.filter(matches);
+    // Leave the tracker alone when nobody in the roster uses it
+    if (marines.length === 0) return;
+    
+    const alive = marines.some(m => m.alive);
+    const hiddenByRoster = state.rosterHidden.includes(tracker);
+    if (!alive && state.visibility[tracker]) {
+        state.visibility[tracker] = false;
+        if (!hiddenByRoster) {
+            state.rosterHidden.push(tracker);
+        }
+    } else if (alive && hiddenByRoster) {
+        state.visibility[tracker] = true;
+        state.rosterHidden = state.rosterHidden.filter(key => key !== tracker);
+    } else {
+        return;
+    }
+    updateTrackerVisibility(tracker);
+    updateMenuCheckbox(tracker);
+}
+
+/**
+ * Turns overwatch, guard or a jam on or off for a Marine
+ * @param {number} id - Marine ID
+ * @param {string} status - Key of MARINE_STATUSES
+ */
+function toggleMarineStatus(id, status) {
+    const marine = state.roster.find(m => m.id === id);
+    if (!marine || !marine.alive || !MARINE_STATUSES[status]) return;
+    if (!marine[status] && status === 'overwatch' && !WEAPONS[marine.weapon].ranged) return;
+    if (!marine[status] && status === 'jammed' && !marine.overwatch) return;
+    
+    recordAction(`${marine.name} ${MARINE_STATUSES[status]} ${marine[status] ? 'off' : 'on'}`);
+    marine[status] = !marine[status];
+    
+    // A Marine is on overwatch or guard, not both, and only an overwatch weapon can jam
+    if (status === 'overwatch' && marine.overwatch) {
+        marine.guard = false;
+    } else if (status === 'guard' && marine.guard) {
+        marine.overwatch = false;
+        marine.jammed = false;
+    } else if (status === 'overwatch') {
+        marine.jammed = false;
+    }
+    
+    renderRoster();
+    saveState();
+}
+
+/**
+ * Renders the Marine cards
+ */
+function renderRoster() {
+    const list = document.getElementById('rosterList');
+    
+    if (state.roster.length === 0) {
+        list.innerHTML = '<li class="history-empty">No Marines in the roster</li>';
+        return;
+    }
+    
+    const weaponOptions = selected => Object.entries(WEAPONS)
+        .map(([id, weapon]) => `<option value="${id}"${id === selected ? ' selected' : ''}>${escapeHtml(weapon.name)}</option>`)
+        .join('');
+    
+    list.innerHTML = state.roster.map(marine => {
+        const ranged = WEAPONS[marine.weapon].ranged;
+        const canToggle = {
+            overwatch: marine.alive && ranged,
+            guard: marine.alive,
+            jammed: marine.alive && marine.overwatch
+        };
+        const toggles = Object.entries(MARINE_STATUSES).map(([status, label]) => `
+            <button class="marine-toggle${marine[status] ? ' active' : ''}" onclick="toggleMarineStatus(${marine.id}, '${status}')"
+                aria-pressed="${marine[status]}"${canToggle[status] ? '' : ' disabled'}>${label}</button>
+        `).join('');
+        
+        return `
+            <li class="marine-card${marine.alive ? '' : ' dead'}">
+                <div class="marine-header">
+                    <span class="marine-name">${escapeHtml(marine.name)}${marine.librarian ? ' <span class="marine-role">Librarian</span>' : ''}</span>
+                    <button class="btn-icon" onclick="removeMarine(${marine.id})" aria-label="Remove ${escapeHtml(marine.name)}">
+                        <span class="material-symbols-outlined">close</span>
+                    </button>
+                </div>
+                <select onchange="setMarineWeapon(${marine.id}, this.value)" aria-label="Weapon"${marine.alive ? '' : ' disabled'}>
+                    ${weaponOptions(marine.weapon)}
+                </select>
+                <div class="marine-actions">
+                    <button class="marine-toggle marine-status" onclick="toggleMarineAlive(${marine.id})">${marine.alive ? 'ALIVE' : 'DEAD'}</button>
+                    ${toggles}
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Fills the weapon and squad template pickers of the roster form
+ */
+function renderRosterOptions() {
+    document.getElementById('marineWeapon').innerHTML = Object.entries(WEAPONS)
+        .map(([id, weapon]) => `<option value="${id}">${escapeHtml(weapon.name)}</option>`)
+        .join('');
+    document.getElementById('rosterTemplate').innerHTML = Object.entries(ROSTER_TEMPLATES)
+        .map(([id, template]) => `<option value="${id}">${escapeHtml(template.name)}</option>`)
+        .join('');
+}
+
+// ============================================
+// Tracker Registry
+// ============================================
+
+// Functions told about every tracker change - see tracker.subscribe
+const trackerListeners = new Set();
+
+/**
+ * Public interface for reading and changing any tracker - registry trackers, weapon ammo and blip counters.
+ * Changes made through it are recorded for undo, logged and saved like button presses.
+ */
+const tracker = {
+    /**
+     * Gets the current value of a tracker
+     * @param {string} id - Tracker ID
+     * @returns {number|undefined} Current value, or undefined for an unknown tracker
+     */
+    get(id) {
+        return getTrackerValue(id);
+    },
+    
+    /**
+     * Sets a tracker to a value, clamped to its limits
+     * @param {string} id - Tracker ID
+     * @param {number} value - New value
+     */
+    set(id, value) {
+        const current = getTrackerValue(id);
+        if (current !== undefined) {
+            adjustPoints(id, value - current);
+        }
+    },
+    
+    /**
+     * Changes a tracker by an amount, clamped to its limits
+     * @param {string} id - Tracker ID
+     * @param {number} delta - Amount to change
+     */
+    adjust(id, delta) {
+        if (getTrackerValue(id) !== undefined) {
+            adjustPoints(id, delta);
+        }
+    },
+    
+    /**
+     * Resets a tracker to its default value
+     * @param {string} id - Tracker ID
+     */
+    reset(id) {
+        const defaultValue = getTrackerDefault(id);
+        if (defaultValue !== undefined) {
+            resetPoints(id, defaultValue);
+        }
+    },
+    
+    /**
+     * Calls a function after every change to a tracker's value
+     * @param {Function} listener - Called with { id, value, previousValue }
+     * @returns {Function} Call to stop listening
+     */
+    subscribe(listener) {
+        trackerListeners.add(listener);
+        return () => trackerListeners.delete(listener);
+    }
+};
+
+/**
+ * Tells every subscriber that a tracker's value changed
+ * @param {string} id - Tracker ID
+ * @param {number} value - New value
+ * @param {number} previousValue - Value before the change
+ */
+function notifyTrackerListeners(id, value, previousValue) {
+    trackerListeners.forEach(listener => {
+        try {
+            listener({ id, value, previousValue });
+        } catch (e) {
+            console.warn('Tracker listener failed:', e);
+        }
+    });
+}
+
+/**
+ * Adds a new custom tracker
+ */
+function addCustomTracker() {
+    const nameInput = document.getElementById('customName');
+    const defaultInput = document.getElementById('customDefault');
+    
+    const name = nameInput.value.trim();
+    const defaultValue = Math.max(0, parseInt(defaultInput.value) || 10);
+    
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+    
+    recordAction(`Add ${name}`);
+    
+    const added = createTracker(`custom-${state.nextTrackerId++}`, { name, defaultValue });
+    state.trackers.push(added);
+    state.visibility[added.id] = true;
+    renderTrackers();
+    
+    // Clear inputs
+    nameInput.value = '';
+    defaultInput.value = '10';
+    
+    saveState();
+}
+
+/**
+ * Removes a tracker from the board - it stays in the menu until restored or deleted
+ * @param {string} id - Tracker ID (a registry tracker or weapon module)
+ */
+function removeTracker(id) {
+    const definition = getTrackerDefinition(id);
+    if (!definition || !definition.removable) return;
+    
+    recordAction(`Remove ${definition.label}`, true);
+    definition.store.removed = true;
+    renderTrackers();
+    saveState();
+}
+
+/**
+ * Puts a removed tracker back on the board
+ * @param {string} id - Tracker ID (a registry tracker or weapon module)
+ */
+function restoreTracker(id) {
+    const definition = getTrackerDefinition(id);
+    if (!definition || !definition.removable) return;
+    
+    recordAction(`Restore ${definition.label}`);
+    definition.store.removed = false;
+    state.visibility[id] = true;
+    state.rosterHidden = state.rosterHidden.filter(key => key !== id);
+    renderTrackers();
+    saveState();
+}
+
+/**
+ * Deletes a removed custom tracker for good
+ * @param {string} id - Tracker ID
+ */
+function deleteTracker(id) {
+    const definition = getTrackerDefinition(id);
+    if (!definition || !definition.deletable) return;
+    
+    recordAction(`Delete ${definition.label}`, true);
+    state.trackers = state.trackers.filter(t => t.id !== id);
+    delete state.visibility[id];
+    renderTrackers();
+    saveState();
+}
+
+/**
+ * Renders every registry tracker with its menu item, the removed state of every tracker and the list of removed trackers,
+ * then lays out the board
+ */
+function renderTrackers() {
+    const board = document.getElementById('board');
+    const menuItems = document.getElementById('trackerMenuItems');
+    
+    // Sections are rebuilt where they stand - removed trackers stay hidden in place so a restore puts them back there
+    document.querySelectorAll('.registry-tracker').forEach(section => {
+        if (!getTracker(section.id.replace('tracker-', ''))) {
+            section.remove();
+        }
+    });
+    menuItems.innerHTML = '';
+    state.trackers.forEach(registered => {
+        const section = createTrackerElement(registered);
+        const existing = document.getElementById(section.id);
+        if (existing) {
+            existing.replaceWith(section);
+        } else {
+            board.appendChild(section);
+        }
+        menuItems.appendChild(createTrackerMenuItem(registered));
+    });
+    
+    const keys = getSectionKeys();
+    keys.forEach(key => {
+        updateTrackerVisibility(key);
+        updateMenuCheckbox(key);
+    });
+    
+    const removed = keys.filter(isTrackerRemoved);
+    document.getElementById('removedTrackersSection').classList.toggle('hidden', removed.length === 0);
+    document.getElementById('removedTrackers').innerHTML = removed.map(key => {
+        const definition = getTrackerDefinition(key);
+        return `
+            <li class="session-item">
+                <span class="session-switch">
+                    <span class="session-name">${escapeHtml(definition.label)}</span>
+                </span>
+                <button class="btn-icon" onclick="restoreTracker('${escapeHtml(key)}')" aria-label="Restore tracker" title="Restore">
+                    <span class="material-symbols-outlined">restore_from_trash</span>
+                </button>
+                ${definition.deletable ? `
+                <button class="btn-icon" onclick="deleteTracker('${escapeHtml(key)}')" aria-label="Delete tracker" title="Delete">
+                    <span class="material-symbols-outlined">delete_forever</span>
+                </button>` : ''}
+            </li>
+        `;
+    }).join('');
+    
+    renderLayout();
+}
+
+/**
+ * Builds the move and remove buttons shown on every removable tracker
+ * @param {string} id - Tracker ID (a registry tracker or weapon module)
+ * @param {string} label - Tracker name
+ * @returns {string} Buttons HTML
+ */
+function createTrackerActions(id, label) {
+    const key = escapeHtml(id);
+    const name = escapeHtml(label);
+    return `
+        <div class="tracker-actions">
+            <button class="btn-icon" onclick="moveSection('${key}', -1)" data-move="-1" aria-label="Move ${name} up" title="Move up">
+                <span class="material-symbols-outlined">arrow_upward</span>
+            </button>
+            <button class="btn-icon" onclick="moveSection('${key}', 1)" data-move="1" aria-label="Move ${name} down" title="Move down">
+                <span class="material-symbols-outlined">arrow_downward</span>
+            </button>
+            <button class="btn-icon" onclick="removeTracker('${key}')" aria-label="Remove ${name}" title="Remove">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Builds the section element for a registry tracker
+ * @param {Object} registered - Tracker
+ * @returns {HTMLElement} Tracker section
+ */
+function createTrackerElement(registered) {
+    const id = escapeHtml(registered.id);
+    const style = BUILT_IN_TRACKERS[registered.id] ? BUILT_IN_TRACKERS[registered.id].style : CUSTOM_TRACKER_STYLE;
+    
+    const section = document.createElement('section');
+    section.className = `tracker-section ${style}-section registry-tracker`;
+    section.id = `tracker-${registered.id}`;
+    section.innerHTML = `
+        ${createTrackerActions(registered.id, registered.name)}
+        <div class="section-header">
+            <h3>${escapeHtml(registered.name)}</h3>
+            <button class="btn-edit" onclick="openTrackerEditor('${id}')" aria-label="Edit ${escapeHtml(registered.name)}">
+                <span class="material-symbols-outlined">tune</span>
+            </button>
+            <button class="btn-visibility" onclick="toggleTrackerVisibility('${id}')" aria-label="Hide ${escapeHtml(registered.name)}">
+                <span class="material-symbols-outlined">visibility_off</span>
+            </button>
+        </div>
+        <div class="tracker-content">
+            <div class="points-display">
+                <button class="btn btn-adjust" onclick="stepPoints('${id}', -1)" aria-label="Decrease ${escapeHtml(registered.name)}">−</button>
+                <div class="points-value" id="points-${id}" data-tracker="${id}">${registered.value}</div>
+                <button class="btn btn-adjust" onclick="stepPoints('${id}', 1)" aria-label="Increase ${escapeHtml(registered.name)}">+</button>
+            </div>
+            <div class="points-reset">
+                <button class="btn btn-small" onclick="tracker.reset('${id}')">Reset to ${getTrackerDefault(registered.id)}</button>
+            </div>
+        </div>
+    `;
+    
+    updatePointsStyle(section.querySelector('.points-value'), registered.value);
+    return section;
+}
+
+/**
+ * Builds the visibility menu item for a registry tracker
+ * @param {Object} registered - Tracker
+ * @returns {HTMLElement} Menu item
+ */
+function createTrackerMenuItem(registered) {
+    const menuItem = document.createElement('label');
+    menuItem.className = 'menu-item';
+    menuItem.id = `menuItem-${registered.id}`;
+    menuItem.innerHTML = `
+        <input type="checkbox" id="menuTracker-${escapeHtml(registered.id)}"${state.visibility[registered.id] === false ? '' : ' checked'}>
+        <span>${escapeHtml(registered.name)}</span>
+    `;
+    
+    menuItem.querySelector('input').addEventListener('change', () => {
+        handleMenuCheckboxChange(registered.id);
+    });
+    return menuItem;
+}
+
+// ============================================
+// Board Layout
+// ============================================
+
+// Dragging this close to the top or bottom of the screen scrolls the page (px)
+const DRAG_SCROLL_MARGIN = 60;
+const DRAG_SCROLL_STEP = 12;
+
+// Section or group being dragged, and the pointer dragging it
+let dragState = null;
+
+/**
+ * Finds the element of a board section
+ * @param {string} key - Section key
+ * @returns {HTMLElement|null} Section element
+ */
+function getSectionElement(key) {
+    const definition = getTrackerDefinition(key);
+    return definition && definition.section ? document.getElementById(definition.section) : null;
+}
+
+/**
+ * Finds the list a section or group sits in - the top-level order or a group's sections
+ * @param {string} key - Section key or group ID
+ * @returns {string[]|undefined} Layout list
+ */
+function getLayoutList(key) {
+    const group = state.layout.groups.find(g => g.sections.includes(key));
+    return group ? group.sections : state.layout.order;
+}
+
+/**
+ * Checks whether a section or group is shown on the board
+ * @param {string} key - Section key or group ID
+ * @returns {boolean} True when shown
+ */
+function isSectionShown(key) {
+    const element = document.querySelector(`[data-layout-key="${key}"]`);
+    return Boolean(element) && !element.classList.contains('hidden-tracker') && !element.classList.contains('removed-tracker');
+}
+
+/**
+ * Brings the layout in line with the sections that exist - new trackers go to the bottom, deleted ones are dropped
+ */
+function normalizeLayout() {
+    const keys = getSectionKeys();
+    const groupIds = state.layout.groups.map(g => g.id);
+    const placed = new Set();
+    const place = key => {
+        if (!keys.includes(key) || placed.has(key)) return false;
+        placed.add(key);
+        return true;
+    };
+    
+    state.layout.groups.forEach(group => {
+        group.sections = group.sections.filter(place);
+    });
+    state.layout.order = state.layout.order.filter(key => groupIds.includes(key) || place(key));
+    groupIds.forEach(id => {
+        if (!state.layout.order.includes(id)) {
+            state.layout.order.push(id);
+        }
+    });
+    keys.forEach(key => {
+        if (!placed.has(key)) {
+            state.layout.order.push(key);
+        }
+    });
+}
+
+/**
+ * Puts every section and group on the board in layout order
+ */
+function renderLayout() {
+    normalizeLayout();
+    
+    const board = document.getElementById('board');
+    const addSection = document.getElementById('addTrackerSection');
+    const oldGroups = [...board.querySelectorAll('.tracker-group')];
+    
+    const placeSection = (key, container, before) => {
+        const section = getSectionElement(key);
+        if (!section) return;
+        if (!section.dataset.layoutKey) {
+            section.dataset.layoutKey = key;
+            section.prepend(createDragHandle());
+        }
+        container.insertBefore(section, before);
+    };
+    
+    state.layout.order.forEach(key => {
+        const group = state.layout.groups.find(g => g.id === key);
+        if (!group) {
+            placeSection(key, board, addSection);
+            return;
+        }
+        const groupEl = createGroupElement(group);
+        board.insertBefore(groupEl, addSection);
+        group.sections.forEach(sectionKey => {
+            placeSection(sectionKey, groupEl.querySelector('.tracker-group-body'), null);
+        });
+    });
+    oldGroups.forEach(group => group.remove());
+    
+    // Trackers at either end of their list cannot move further that way
+    getSectionKeys().filter(key => getTrackerDefinition(key).removable).forEach(key => {
+        const section = getSectionElement(key);
+        const list = getLayoutList(key);
+        const index = list.indexOf(key);
+        const hasShown = keys => keys.some(k => isSectionShown(k));
+        if (section) {
+            section.querySelector('[data-move="-1"]').disabled = !hasShown(list.slice(0, index));
+            section.querySelector('[data-move="1"]').disabled = !hasShown(list.slice(index + 1));
+        }
+    });
+}
+
+/**
+ * Builds a collapsible group with its header - the sections are put in its body by renderLayout
+ * @param {Object} group - Layout group
+ * @returns {HTMLElement} Group element
+ */
+function createGroupElement(group) {
+    const id = escapeHtml(group.id);
+    
+    const groupEl = document.createElement('section');
+    groupEl.className = `tracker-group${group.collapsed ? ' collapsed' : ''}`;
+    groupEl.id = group.id;
+    groupEl.dataset.layoutKey = group.id;
+    groupEl.innerHTML = `
+        <div class="tracker-group-header">
+            <button class="tracker-group-toggle" onclick="toggleGroup('${id}')" aria-expanded="${!group.collapsed}">
+                <span class="material-symbols-outlined">${group.collapsed ? 'expand_more' : 'expand_less'}</span>
+                <h3>${escapeHtml(group.name)}</h3>
+                <span class="tracker-group-count">${group.sections.length}</span>
+            </button>
+            <button class="btn-icon" onclick="renameGroup('${id}')" aria-label="Rename group" title="Rename">
+                <span class="material-symbols-outlined">edit</span>
+            </button>
+            <button class="btn-icon" onclick="deleteGroup('${id}')" aria-label="Ungroup" title="Ungroup">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </div>
+        <div class="tracker-group-body"></div>
+    `;
+    
+    groupEl.querySelector('.tracker-group-header').prepend(createDragHandle());
+    return groupEl;
+}
+
+/**
+ * Builds the handle a section or group is dragged by, with mouse, pen or touch
+ * @returns {HTMLElement} Drag handle
+ */
+function createDragHandle() {
+    const handle = document.createElement('button');
+    handle.className = 'drag-handle';
+    handle.setAttribute('aria-label', 'Drag to reorder');
+    handle.title = 'Drag to reorder';
+    handle.innerHTML = '<span class="material-symbols-outlined">drag_indicator</span>';
+    
+    handle.addEventListener('pointerdown', startDrag);
+    handle.addEventListener('pointermove', moveDrag);
+    handle.addEventListener('pointerup', endDrag);
+    handle.addEventListener('pointercancel', endDrag);
+    return handle;
+}
+
+/**
+ * Picks up a section or group by its drag handle
+ * @param {PointerEvent} event - Pointer down on the handle
+ */
+function startDrag(event) {
+    if (dragState || event.button !== 0) return;
+    
+    // Keep receiving the pointer while it moves over other sections
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    
+    const item = event.currentTarget.closest('[data-layout-key]');
+    dragState = { item: item, pointerId: event.pointerId };
+    item.classList.add('dragging');
+    document.body.classList.add('dragging-layout');
+}
+
+/**
+ * Moves the dragged section or group to where the pointer is
+ * @param {PointerEvent} event - Pointer move
+ */
+function moveDrag(event) {
+    if (!dragState || event.pointerId !== dragState.pointerId) return;
+    event.preventDefault();
+    
+    if (event.clientY < DRAG_SCROLL_MARGIN) {
+        window.scrollBy(0, -DRAG_SCROLL_STEP);
+    } else if (event.clientY > window.innerHeight - DRAG_SCROLL_MARGIN) {
+        window.scrollBy(0, DRAG_SCROLL_STEP);
+    }
+    
+    const position = findDropPosition(event.clientX, event.clientY);
+    const { item } = dragState;
+    if (position && (item.parentElement !== position.container || item.nextElementSibling !== position.before)) {
+        position.container.insertBefore(item, position.before);
+    }
+}
+
+/**
+ * Works out where the dragged item would land for a pointer position
+ * @param {number} x - Pointer x in the viewport
+ * @param {number} y - Pointer y in the viewport
+ * @returns {Object|null} Container and the element to insert before, or null to stay put
+ */
+function findDropPosition(x, y) {
+    const under = document.elementFromPoint(x, y);
+    if (!under || dragState.item.contains(under)) return null;
+    
+    // Groups only move between the top-level entries, sections can also go into and out of groups
+    const dragsGroup = dragState.item.classList.contains('tracker-group');
+    if (!dragsGroup) {
+        const header = under.closest('.tracker-group-header');
+        if (header) {
+            return { container: header.parentElement.querySelector('.tracker-group-body'), before: null };
+        }
+        if (under.classList.contains('tracker-group-body')) {
+            return { container: under, before: null };
+        }
+    }
+    
+    const target = under.closest(dragsGroup ? '.trackers > [data-layout-key]' : '.tracker-section[data-layout-key]');
+    if (!target) return null;
+    
+    const rect = target.getBoundingClientRect();
+    const after = y > rect.top + rect.height / 2;
+    return { container: target.parentElement, before: after ? target.nextElementSibling : target };
+}
+
+/**
+ * Drops the dragged section or group and saves the new layout
+ * @param {PointerEvent} event - Pointer up or cancel
+ */
+function endDrag(event) {
+    if (!dragState || event.pointerId !== dragState.pointerId) return;
+    
+    const { item } = dragState;
+    dragState = null;
+    item.classList.remove('dragging');
+    document.body.classList.remove('dragging-layout');
+    
+    // A cancelled drag puts everything back
+    if (event.type === 'pointercancel') {
+        renderLayout();
+        return;
+    }
+    
+    const board = document.getElementById('board');
+    const keysIn = container => [...container.children].filter(el => el.dataset.layoutKey).map(el => el.dataset.layoutKey);
+    const order = keysIn(board);
+    const sections = {};
+    board.querySelectorAll('.tracker-group').forEach(groupEl => {
+        sections[groupEl.dataset.layoutKey] = keysIn(groupEl.querySelector('.tracker-group-body'));
+    });
+    
+    const unchanged = JSON.stringify(order) === JSON.stringify(state.layout.order) &&
+        state.layout.groups.every(g => JSON.stringify(sections[g.id]) === JSON.stringify(g.sections));
+    if (unchanged) return;
+    
+    recordAction(`Move ${getLayoutLabel(item.dataset.layoutKey)}`);
+    state.layout.order = order;
+    state.layout.groups.forEach(group => {
+        group.sections = sections[group.id];
+    });
+    renderLayout();
+    saveState();
+}
+
+/**
+ * Moves a section past the next shown section in its list, as done by the move buttons
+ * @param {string} key - Section key
+ * @param {number} direction - -1 to move up or 1 to move down
+ */
+function moveSection(key, direction) {
+    const list = getLayoutList(key);
+    const index = list.indexOf(key);
+    let target = index + direction;
+    // Step over hidden and removed sections so every move shows on the board
+    while (target >= 0 && target < list.length && !isSectionShown(list[target])) {
+        target += direction;
+    }
+    if (index === -1 || target < 0 || target >= list.length) return;
+    
+    recordAction(`Move ${getLayoutLabel(key)}`);
+    list.splice(index, 1);
+    list.splice(target, 0, key);
+    renderLayout();
+    saveState();
+}
+
+/**
+ * Gets a readable name for a section or group
+ * @param {string} key - Section key or group ID
+ * @returns {string} Name
+ */
+function getLayoutLabel(key) {
+    const group = state.layout.groups.find(g => g.id === key);
+    return group ? group.name : getTrackerLabel(key);
+}
+
+/**
+ * Adds a named group at the top of the board
+ */
+function addGroup() {
+    const nameInput = document.getElementById('groupName');
+    const name = nameInput.value.trim();
+    
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+    
+    recordAction(`Add group ${name}`);
+    const group = { id: `group-${state.layout.nextGroupId++}`, name: name, collapsed: false, sections: [] };
+    state.layout.groups.push(group);
+    state.layout.order.unshift(group.id);
+    renderLayout();
+    
+    nameInput.value = '';
+    saveState();
+}
+
+/**
+ * Renames a group
+ * @param {string} id - Group ID
+ */
+function renameGroup(id) {
+    const group = state.layout.groups.find(g => g.id === id);
+    if (!group) return;
+    
+    const name = prompt('Rename group', group.name);
+    if (name && name.trim()) {
+        recordAction(`Rename group ${group.name}`);
+        group.name = name.trim();
+        renderLayout();
+        saveState();
+    }
+}
+
+/**
+ * Collapses or expands a group
+ * @param {string} id - Group ID
+ */
+function toggleGroup(id) {
+    const group = state.layout.groups.find(g => g.id === id);
+    if (!group) return;
+    
+    group.collapsed = !group.collapsed;
+    renderLayout();
+    saveState();
+}
+
+/**
+ * Removes a group, leaving its sections on the board where the group was
+ * @param {string} id - Group ID
+ */
+function deleteGroup(id) {
+    const group = state.layout.groups.find(g => g.id === id);
+    if (!group) return;
+    
+    recordAction(`Ungroup ${group.name}`, true);
+    state.layout.order.splice(state.layout.order.indexOf(id), 1, ...group.sections);
+    state.layout.groups = state.layout.groups.filter(g => g.id !== id);
+    renderLayout();
+    saveState();
+}
+
+/**
+ * Puts every section back in its default order and removes all groups
+ */
+function resetLayout() {
+    recordAction('Reset layout', true);
+    state.layout = createDefaultLayout();
+    renderLayout();
+    saveState();
+    closeMenu();
+}
+
+// ============================================
+// Tracker Visibility
+// ============================================
+
+/**
+ * Toggles visibility of a tracker section
+ * @param {string} tracker - Tracker name (a registry tracker, weapon module, dice or roster)
+ */
+function toggleTrackerVisibility(tracker) {
+    recordAction(`${state.visibility[tracker] ? 'Hide' : 'Show'} ${getTrackerLabel(tracker)}`);
+    state.visibility[tracker] = !state.visibility[tracker];
+    // The player's choice now decides, whatever the roster does
+    state.rosterHidden = state.rosterHidden.filter(key => key !== tracker);
+    updateTrackerVisibility(tracker);
+    updateMenuCheckbox(tracker);
+    saveState();
+}
+
+/**
+ * Updates the visibility of a tracker section in the DOM - hidden from view, or removed from the board
+ * @param {string} tracker - Tracker name
+ */
+function updateTrackerVisibility(tracker) {
+    const definition = getTrackerDefinition(tracker);
+    const section = getSectionElement(tracker);
+    // Sections without a menu checkbox are always shown, or shown by their own settings
+    if (section && definition.checkbox) {
+        section.classList.toggle('hidden-tracker', !state.visibility[tracker]);
+        section.classList.toggle('removed-tracker', isTrackerRemoved(tracker));
+    }
+}
+
+/**
+ * Finds the menu checkbox that shows or hides a tracker
+ * @param {string} tracker - Tracker name
+ * @returns {HTMLInputElement|null} Checkbox, or null for sections without one
+ */
+function getMenuCheckbox(tracker) {
+    const definition = getTrackerDefinition(tracker);
+    return definition && definition.checkbox ? document.getElementById(definition.checkbox) : null;
+}
+
+/**
+ * Updates the menu checkbox to reflect visibility state - removed trackers are listed under Removed Trackers instead
+ * @param {string} tracker - Tracker name
+ */
+function updateMenuCheckbox(tracker) {
+    const checkbox = getMenuCheckbox(tracker);
+    if (checkbox) {
+        checkbox.checked = state.visibility[tracker];
+        checkbox.closest('.menu-item').classList.toggle('hidden', isTrackerRemoved(tracker));
+    }
+}
+
+/**
+ * Handles menu checkbox change
+ * @param {string} tracker - Tracker name
+ */
+function handleMenuCheckboxChange(tracker) {
+    const checkbox = getMenuCheckbox(tracker);
+    if (checkbox) {
+        recordAction(`${checkbox.checked ? 'Show' : 'Hide'} ${getTrackerLabel(tracker)}`);
+        state.visibility[tracker] = checkbox.checked;
+        state.rosterHidden = state.rosterHidden.filter(key => key !== tracker);
+        updateTrackerVisibility(tracker);
+        saveState();
+    }
+}
+
+/**
+ * Opens the tracker menu
+ */
+function openMenu() {
+    const menu = document.getElementById('trackerMenu');
+    menu.inert = false;
+    menu.classList.add('open');
+    document.getElementById('menuOverlay').classList.add('open');
+    document.getElementById('menuBtn').setAttribute('aria-expanded', 'true');
+    focusDialog(menu);
+}
+
+/**
+ * Closes the tracker menu
+ */
+function closeMenu() {
+    const menu = document.getElementById('trackerMenu');
+    if (!menu.classList.contains('open')) return;
+    
+    // Inert keeps the hidden menu's controls out of the tab order
+    menu.inert = true;
+    menu.classList.remove('open');
+    document.getElementById('menuOverlay').classList.remove('open');
+    document.getElementById('menuBtn').setAttribute('aria-expanded', 'false');
+    restoreFocus(menu);
+}
+
+// ============================================
+// Mission Presets
+// ============================================
+
+// Built-in missions - each preset configures the whole board in one step
+const MISSION_PRESETS = [
+    {
+        id: 'standard',
+        name: 'Standard Game',
+        visibility: { psychic: true, cannon: true, command: true },
+        defaults: { psychic: 20, cannon: 10, command: 0 },
+        customTrackers: [],
+        defaultMinutes: 3,
+        winCondition: 'Complete the mission objective before the squad is wiped out.'
+    },
+    {
+        id: 'suicide-mission',
+        name: 'Suicide Mission',
+        visibility: { psychic: false, cannon: true, flamer: true, command: true },
+        defaults: { psychic: 20, cannon: 10, flamer: 6, command: 0 },
+        customTrackers: [],
+        defaultMinutes: 3,
+        winCondition: 'Marines win by flaming the target room with the heavy flamer.'
+    },
+    {
+        id: 'exterminate',
+        name: 'Exterminate',
+        visibility: { psychic: false, cannon: true, command: true },
+        defaults: { psychic: 20, cannon: 10, command: 0 },
+        customTrackers: [
+            { name: 'Genestealers Killed', defaultValue: 0 }
+        ],
+        defaultMinutes: 3,
+        winCondition: 'Marines win by killing enough Genestealers before they are overrun.'
+    },
+    {
+        id: 'cleanse-and-burn',
+        name: 'Cleanse and Burn',
+        visibility: { psychic: false, cannon: true, flamer: true, command: true },
+        defaults: { psychic: 20, cannon: 10, flamer: 6, command: 0 },
+        reloads: { flamer: 1 },
+        customTrackers: [
+            { name: 'Rooms Cleansed', defaultValue: 0 }
+        ],
+        defaultMinutes: 3,
+        winCondition: 'Marines win by flaming every target room.'
+    },
+    {
+        id: 'the-artefact',
+        name: 'The Artefact',
+        visibility: { psychic: true, cannon: true, command: true },
+        defaults: { psychic: 20, cannon: 10, command: 0 },
+        customTrackers: [],
+        defaultMinutes: 3,
+        winCondition: 'Marines win by recovering the artefact and carrying it off the board.'
+    },
+    {
+        id: 'last-stand',
+        name: 'Last Stand',
+        visibility: { psychic: true, cannon: true, command: true },
+        defaults: { psychic: 20, cannon: 10, command: 0 },
+        customTrackers: [
+            { name: 'Turns Survived', defaultValue: 0 }
+        ],
+        defaultMinutes: 2,
+        winCondition: 'Marines win by holding out until the final turn.'
+    }
+];
+
+// Presets saved by the user from their own setups
+let userMissionPresets = [];
+
+/**
+ * Gets every available mission preset, built-in first
+ * @returns {Object[]} Mission presets
+ */
+function getMissionPresets() {
+    return [...MISSION_PRESETS, ...userMissionPresets];
+}
+
+/**
+ * Sets up the board for a mission preset
+ * @param {string} id - Mission preset ID
+ */
+function applyMissionPreset(id) {
+    const mission = getMissionPresets().find(m => m.id === id);
+    if (!mission) return;
+    
+    recordAction(`Mission: ${mission.name}`, true);
+    pauseTimer();
+    stopAlarm();
+    logEvent('newGame', { label: mission.name });
+    
+    // Built-in trackers keep their names and settings but come back on the board at the mission's values, within their limits
+    let nextTrackerId = state.nextTrackerId;
+    const trackers = state.trackers.filter(t => isBuiltInTracker(t.id)).map(t => {
+        const defaultValue = clampTrackerValue(t.id, mission.defaults[t.id] ?? BUILT_IN_TRACKERS[t.id].defaultValue);
+        return { ...t, defaultValue: defaultValue, value: defaultValue, removed: false };
+    });
+    mission.customTrackers.forEach(t => {
+        trackers.push(createTracker(`custom-${nextTrackerId++}`, t));
+    });
+    
+    // Setups saved before the tracker registry call the psychic tracker librarian
+    const { librarian, ...visibility } = mission.visibility;
+    if (librarian !== undefined) {
+        visibility.psychic = librarian;
+    }
+    trackers.forEach(t => {
+        visibility[t.id] = visibility[t.id] ?? true;
+    });
+    
+    const weapons = createWeaponStates(mission.defaults, mission.reloads);
+    Object.keys(weapons).forEach(id => {
+        weapons[id].ammo = clampTrackerValue(id, weapons[id].ammo);
+        weapons[id].defaultAmmo = weapons[id].ammo;
+    });
+    
+    applyState({
+        timer: {
+            minutes: mission.defaultMinutes,
+            seconds: 0,
+            defaultMinutes: mission.defaultMinutes
+        },
+        turn: { number: 1, phase: TURN_PHASES[0].id },
+        trackers: trackers,
+        weapons: weapons,
+        nextTrackerId: nextTrackerId,
+        visibility: visibility,
+        mission: { id: mission.id, name: mission.name, winCondition: mission.winCondition }
+    });
+    
+    // Reset warnings for the new mission's timer
+    state.timer.warningsPlayed = [];
+    // The Marine player's own turn time replaces the mission's
+    applyProfileTime();
+    
+    saveState();
+    closeMenu();
+}
+
+/**
+ * Saves the current board setup as a new mission preset
+ */
+function saveMissionPreset() {
+    const nameInput = document.getElementById('missionName');
+    const noteInput = document.getElementById('missionNote');
+    const name = nameInput.value.trim();
+    
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+    
+    const preset = {
+        id: `user-${Date.now()}`,
+        name: name,
+        visibility: {},
+        defaults: {},
+        reloads: {},
+        customTrackers: state.trackers.filter(t => !isBuiltInTracker(t.id) && !t.removed).map(t => ({
+            name: t.name,
+            defaultValue: t.defaultValue,
+            settings: { ...t.settings }
+        })),
+        defaultMinutes: state.timer.defaultMinutes,
+        winCondition: noteInput.value.trim()
+    };
+    
+    // A removed built-in tracker or weapon is saved as hidden
+    Object.keys(BUILT_IN_TRACKERS).forEach(id => {
+        preset.visibility[id] = state.visibility[id] && !isTrackerRemoved(id);
+        preset.defaults[id] = getTracker(id).value;
+    });
+    Object.keys(WEAPON_MODULES).forEach(weapon => {
+        preset.visibility[weapon] = state.visibility[weapon] && !isTrackerRemoved(weapon);
+        preset.defaults[weapon] = state.weapons[weapon].ammo;
+        preset.reloads[weapon] = state.weapons[weapon].maxReloads;
+    });
+    
+    userMissionPresets.push(preset);
+    saveMissionPresets();
+    renderMissionOptions();
+    document.getElementById('missionSelect').value = preset.id;
+    
+    nameInput.value = '';
+    noteInput.value = '';
+}
+
+/**
+ * Renders the mission options in the menu
+ */
+function renderMissionOptions() {
+    const select = document.getElementById('missionSelect');
+    const optionsHtml = presets => presets
+        .map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`)
+        .join('');
+    
+    select.innerHTML = `<optgroup label="Missions">${optionsHtml(MISSION_PRESETS)}</optgroup>`;
+    if (userMissionPresets.length > 0) {
+        select.innerHTML += `<optgroup label="Saved Setups">${optionsHtml(userMissionPresets)}</optgroup>`;
+    }
+    if (state.mission) {
+        select.value = state.mission.id;
+    }
+}
+
+/**
+ * Updates the mission banner with the current mission and win condition
+ */
+function updateMissionDisplay() {
+    const banner = document.getElementById('missionBanner');
+    if (!state.mission) {
+        banner.classList.add('hidden');
+        return;
+    }
+    
+    banner.classList.remove('hidden');
+    document.getElementById('missionTitle').textContent = state.mission.name;
+    document.getElementById('missionCondition').textContent = state.mission.winCondition;
+    
+    // Where this mission stands in the campaign, if it is the one the campaign is waiting on
+    const campaignLine = document.getElementById('missionCampaign');
+    const next = getNextCampaignMission();
+    if (next && next.id === state.mission.id) {
+        campaignLine.textContent = `${campaign.name} - Mission ${campaign.results.length + 1} of ${campaign.missions.length}`;
+        campaignLine.hidden = false;
+    } else {
+        campaignLine.hidden = true;
+    }
+}
+
+/**
+ * Saves user mission presets to localStorage
+ */
+function saveMissionPresets() {
+    try {
+        localStorage.setItem('spaceHulkTrackerMissions', JSON.stringify(userMissionPresets));
+    } catch (e) {
+        console.warn('Failed to save mission presets:', e);
+    }
+}
+
+/**
+ * Loads user mission presets from localStorage
+ */
+function loadMissionPresets() {
+    try {
+        const saved = localStorage.getItem('spaceHulkTrackerMissions');
+        if (saved) {
+            const data = JSON.parse(saved);
+            userMissionPresets = Array.isArray(data) ? data : [];
+        }
+    } catch (e) {
+        console.warn('Failed to load mission presets:', e);
+    }
+    renderMissionOptions();
+}
+
+// ============================================
+// Campaign
+// ============================================
+
+// Campaigns span many games, so they are stored apart from every saved game
+const CAMPAIGN_STORAGE_KEY = 'spaceHulkTrackerCampaign';
+
+// Campaign points for the side that wins a mission
+const CAMPAIGN_VICTORY_POINTS = 3;
+
+// Campaign points the Genestealers score for each Marine killed
+const CAMPAIGN_KILL_POINTS = 1;
+
+// Values that can carry over from one mission into the next - trackers and the roster, which carries its survivors
+const CAMPAIGN_CARRY_OVER = ['psychic', 'command', 'cannon', 'flamer', 'roster'];
+
+// Readable names for the winner of a mission
+const CAMPAIGN_OUTCOMES = {
+    marines: 'Marines',
+    genestealers: 'Genestealers'
+};
+
+// The campaign being played, or null when there is none
+let campaign = null;
+
+// Campaign being set up in the campaign dialog
+let campaignDraft = null;
+
+/**
+ * Creates an empty campaign for the setup dialog
+ * @returns {Object} Campaign with no missions
+ */
+function createCampaign() {
+    return {
+        name: '',
+        missions: [],
+        carryOver: ['psychic', 'roster'],
+        results: [],
+        createdAt: Date.now()
+    };
+}
+
+/**
+ * Gets the mission preset to play next in the campaign
+ * @returns {Object|null} Mission preset, or null once every mission has been played
+ */
+function getNextCampaignMission() {
+    if (!campaign || campaign.results.length >= campaign.missions.length) return null;
+    
+    return getMissionPresets().find(m => m.id === campaign.missions[campaign.results.length]) || null;
+}
+
+/**
+ * Gets a mission's name, even if its saved setup has since been deleted
+ * @param {string} id - Mission preset ID
+ * @returns {string} Mission name
+ */
+function getCampaignMissionName(id) {
+    const mission = getMissionPresets().find(m => m.id === id);
+    return mission ? mission.name : 'Missing Mission';
+}
+
+/**
+ * Totals up the campaign results
+ * @returns {Object} Wins, points, Marines lost and turns for the campaign so far
+ */
+function getCampaignStandings() {
+    const standings = {
+        played: campaign.results.length,
+        total: campaign.missions.length,
+        wins: { marines: 0, genestealers: 0 },
+        points: { marines: 0, genestealers: 0 },
+        marinesLost: 0,
+        turns: 0
+    };
+    
+    campaign.results.forEach(result => {
+        standings.wins[result.outcome]++;
+        standings.points[result.outcome] += CAMPAIGN_VICTORY_POINTS;
+        standings.points.genestealers += result.marinesLost * CAMPAIGN_KILL_POINTS;
+        standings.marinesLost += result.marinesLost;
+        standings.turns += result.turns;
+    });
+    return standings;
+}
+
+/**
+ * Opens the campaign dialog - the setup form without a campaign, the standings with one
+ */
+function openCampaign() {
+    campaignDraft = campaign ? null : createCampaign();
+    document.getElementById('campaignError').textContent = '';
+    document.getElementById('campaignName').value = '';
+    renderCampaign();
+    closeMenu();
+    openModal('campaignModal');
+}
+
+/**
+ * Closes the campaign dialog
+ */
+function closeCampaign() {
+    campaignDraft = null;
+    closeModal('campaignModal');
+}
+
+/**
+ * Renders the part of the campaign dialog that fits the current campaign
+ */
+function renderCampaign() {
+    const settingUp = campaign === null;
+    const finished = !settingUp && campaign.results.length >= campaign.missions.length;
+    
+    document.getElementById('campaignSetup').hidden = !settingUp;
+    document.getElementById('campaignProgress').hidden = settingUp;
+    document.getElementById('campaignResultForm').hidden = settingUp || finished;
+    document.getElementById('campaignStart').classList.toggle('hidden', !settingUp);
+    document.getElementById('campaignRecord').classList.toggle('hidden', settingUp || finished);
+    document.getElementById('campaignUndoResult').classList.toggle('hidden', settingUp || campaign.results.length === 0);
+    document.getElementById('campaignEnd').classList.toggle('hidden', settingUp);
+    document.getElementById('campaignTitle').textContent = settingUp ? 'NEW CAMPAIGN' : campaign.name.toUpperCase();
+    
+    if (settingUp) {
+        renderCampaignSetup();
+    } else {
+        renderCampaignStandings();
+        if (!finished) {
+            fillCampaignResultForm();
+        }
+    }
+}
+
+/**
+ * Renders the missions and carry-over choices of the campaign being set up
+ */
+function renderCampaignSetup() {
+    const missionOptions = presets => presets
+        .map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`)
+        .join('');
+    const select = document.getElementById('campaignMissionSelect');
+    select.innerHTML = `<optgroup label="Missions">${missionOptions(MISSION_PRESETS)}</optgroup>`;
+    if (userMissionPresets.length > 0) {
+        select.innerHTML += `<optgroup label="Saved Setups">${missionOptions(userMissionPresets)}</optgroup>`;
+    }
+    
+    const list = document.getElementById('campaignMissionList');
+    if (campaignDraft.missions.length === 0) {
+        list.innerHTML = '<li class="history-empty">No missions yet</li>';
+    } else {
+        list.innerHTML = campaignDraft.missions.map((id, index) => `
+            <li class="campaign-mission">
+                <span class="campaign-mission-name">${index + 1}. ${escapeHtml(getCampaignMissionName(id))}</span>
+                <button class="btn-icon" onclick="moveCampaignMission(${index}, -1)" aria-label="Move mission up"${index === 0 ? ' disabled' : ''}>
+                    <span class="material-symbols-outlined">arrow_upward</span>
+                </button>
+                <button class="btn-icon" onclick="moveCampaignMission(${index}, 1)" aria-label="Move mission down"${index === campaignDraft.missions.length - 1 ? ' disabled' : ''}>
+                    <span class="material-symbols-outlined">arrow_downward</span>
+                </button>
+                <button class="btn-icon" onclick="removeCampaignMission(${index})" aria-label="Remove mission">
+                    <span class="material-symbols-outlined">delete</span>
+                </button>
+            </li>
+        `).join('');
+    }
+    
+    document.getElementById('campaignCarryOver').innerHTML = CAMPAIGN_CARRY_OVER.map(key => `
+        <label class="settings-check">
+            <input type="checkbox" onchange="toggleCampaignCarryOver('${key}')"${campaignDraft.carryOver.includes(key) ? ' checked' : ''}>
+            <span>${escapeHtml(getCarryOverLabel(key))}</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Adds the mission chosen in the setup form to the end of the campaign
+ */
+function addCampaignMission() {
+    const id = document.getElementById('campaignMissionSelect').value;
+    if (!id) return;
+    
+    campaignDraft.missions.push(id);
+    renderCampaignSetup();
+}
+
+/**
+ * Moves a mission up or down the campaign being set up
+ * @param {number} index - Position of the mission
+ * @param {number} direction - -1 to play it earlier or 1 to play it later
+ */
+function moveCampaignMission(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= campaignDraft.missions.length) return;
+    
+    const missions = campaignDraft.missions;
+    [missions[index], missions[target]] = [missions[target], missions[index]];
+    renderCampaignSetup();
+}
+
+/**
+ * Removes a mission from the campaign being set up
+ * @param {number} index - Position of the mission
+ */
+function removeCampaignMission(index) {
+    campaignDraft.missions.splice(index, 1);
+    renderCampaignSetup();
+}
+
+/**
+ * Names a value that can carry over between missions - trackers as the board names them
+ * @param {string} key - Carry-over key
+ * @returns {string} Label
+ */
+function getCarryOverLabel(key) {
+    return key === 'roster' ? 'Surviving Marines' : getTrackerLabel(key);
+}
+
+/**
+ * Turns carrying a value over between missions on or off in the setup form
+ * @param {string} key - Carry-over key
+ */
+function toggleCampaignCarryOver(key) {
+    const carryOver = campaignDraft.carryOver;
+    const index = carryOver.indexOf(key);
+    if (index === -1) {
+        carryOver.push(key);
+    } else {
+        carryOver.splice(index, 1);
+    }
+}
+
+/**
+ * Starts the campaign from the setup form and sets up its first mission
+ */
+function startCampaign() {
+    campaignDraft.name = document.getElementById('campaignName').value.trim();
+    
+    const errors = validateCampaign(campaignDraft);
+    if (errors.length > 0) {
+        document.getElementById('campaignError').textContent = errors.join('. ');
+        return;
+    }
+    
+    campaign = campaignDraft;
+    campaignDraft = null;
+    saveCampaign();
+    
+    applyMissionPreset(campaign.missions[0]);
+    updateMissionDisplay();
+    renderCampaign();
+}
+
+/**
+ * Renders the standings and the results of each mission played
+ */
+function renderCampaignStandings() {
+    const standings = getCampaignStandings();
+    const next = getNextCampaignMission();
+    let status;
+    if (standings.played >= standings.total) {
+        const leader = standings.points.marines === standings.points.genestealers
+            ? 'The campaign is drawn'
+            : `${standings.points.marines > standings.points.genestealers ? 'Marines' : 'Genestealers'} win the campaign`;
+        status = `Campaign complete - ${leader}`;
+    } else {
+        status = `Mission ${standings.played + 1} of ${standings.total}: ${next ? next.name : getCampaignMissionName(campaign.missions[standings.played])}`;
+    }
+    
+    const resultRows = campaign.results.map((result, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(result.missionName)}</td>
+            <td>${CAMPAIGN_OUTCOMES[result.outcome]}</td>
+            <td>${result.marinesLost}</td>
+            <td>${result.turns}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('campaignStandings').innerHTML = `
+        <div class="report-summary">
+            <p><strong>${escapeHtml(status)}</strong></p>
+            <p><strong>Points:</strong> Marines ${standings.points.marines}, Genestealers ${standings.points.genestealers}</p>
+            <p><strong>Missions won:</strong> Marines ${standings.wins.marines}, Genestealers ${standings.wins.genestealers}</p>
+            <p><strong>Marines lost:</strong> ${standings.marinesLost}</p>
+            <p><strong>Turns played:</strong> ${standings.turns}</p>
+        </div>
+        <table class="report-table">
+            <thead><tr><th>#</th><th>Mission</th><th>Winner</th><th>Lost</th><th>Turns</th></tr></thead>
+            <tbody>${resultRows || '<tr><td colspan="5">No missions played yet</td></tr>'}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Fills the result form with what the current game shows
+ */
+function fillCampaignResultForm() {
+    document.getElementById('campaignOutcome').value = 'marines';
+    document.getElementById('campaignMarinesLost').value = state.roster.filter(m => !m.alive).length;
+    document.getElementById('campaignTurns').value = state.turn.number;
+}
+
+/**
+ * Records the result of the mission just played and sets up the next one with the values carried over
+ */
+function recordCampaignResult() {
+    const outcome = document.getElementById('campaignOutcome').value;
+    const marinesLost = parseInt(document.getElementById('campaignMarinesLost').value);
+    const turns = parseInt(document.getElementById('campaignTurns').value);
+    
+    if (!CAMPAIGN_OUTCOMES[outcome] || !Number.isInteger(marinesLost) || marinesLost < 0 || !Number.isInteger(turns) || turns < 1) {
+        document.getElementById('campaignError').textContent = 'Marines lost must be 0 or more and turns used at least 1';
+        return;
+    }
+    document.getElementById('campaignError').textContent = '';
+    
+    const missionId = campaign.missions[campaign.results.length];
+    campaign.results.push({
+        missionId: missionId,
+        missionName: getCampaignMissionName(missionId),
+        outcome: outcome,
+        marinesLost: marinesLost,
+        turns: turns,
+        playedAt: Date.now(),
+        carried: getCampaignCarriedValues()
+    });
+    saveCampaign();
+    recordProfileResult(outcome === 'marines' ? 'marine' : 'genestealer');
+    logEvent('campaignResult', { label: `${CAMPAIGN_OUTCOMES[outcome]} win ${getCampaignMissionName(missionId)}` });
+    
+    const next = getNextCampaignMission();
+    if (next) {
+        applyMissionPreset(next.id);
+        applyCampaignCarryOver(campaign.results[campaign.results.length - 1].carried);
+    }
+    updateMissionDisplay();
+    renderCampaign();
+}
+
+/**
+ * Takes the values that carry over from the game as it ends
+ * @returns {Object} Value of each carried tracker, and the surviving Marines
+ */
+function getCampaignCarriedValues() {
+    const carried = {};
+    
+    campaign.carryOver.forEach(key => {
+        if (key === 'roster') {
+            carried.roster = state.roster
+                .filter(m => m.alive)
+                .map(m => ({ ...m, overwatch: false, guard: false, jammed: false }));
+        } else if (getTrackerValue(key) !== undefined) {
+            carried[key] = getTrackerValue(key);
+        }
+    });
+    return carried;
+}
+
+/**
+ * Starts the new mission from the values carried over, within its trackers' limits
+ * @param {Object} carried - Values taken by getCampaignCarriedValues
+ */
+function applyCampaignCarryOver(carried) {
+    const data = JSON.parse(JSON.stringify(getSaveData()));
+    
+    Object.entries(carried).forEach(([key, value]) => {
+        if (key === 'roster') {
+            // An empty roster means the squad was never entered, not that it was wiped out
+            if (value.length > 0) {
+                data.roster = value;
+            }
+        } else if (WEAPON_MODULES[key]) {
+            // The carried ammo is what this mission starts with, and resets to
+            data.weapons[key].ammo = clampTrackerValue(key, value);
+            data.weapons[key].defaultAmmo = data.weapons[key].ammo;
+        } else {
+            const registered = data.trackers.find(t => t.id === key);
+            if (registered) {
+                registered.value = clampTrackerValue(key, value);
+            }
+        }
+    });
+    
+    applyState(data);
+    saveState();
+}
+
+/**
+ * Removes the last recorded result so it can be entered again - the board is left as it is
+ */
+function undoCampaignResult() {
+    const last = campaign.results[campaign.results.length - 1];
+    if (!last || !confirm(`Remove the result of ${last.missionName}?`)) return;
+    
+    campaign.results.pop();
+    saveCampaign();
+    updateMissionDisplay();
+    renderCampaign();
+}
+
+/**
+ * Ends the campaign and forgets its results
+ */
+function endCampaign() {
+    if (!confirm(`End the campaign "${campaign.name}"? Its results will be lost.`)) return;
+    
+    campaign = null;
+    saveCampaign();
+    updateMissionDisplay();
+    closeCampaign();
+}
+
+/**
+ * Checks a campaign object
+ * @param {Object} data - Campaign
+ * @returns {string[]} Problems found
+ */
+function validateCampaign(data) {
+    const errors = [];
+    
+    if (!data || typeof data !== 'object') {
+        return ['Campaign is not valid'];
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('Give the campaign a name');
+    }
+    if (!Array.isArray(data.missions) || data.missions.length === 0 || !data.missions.every(id => typeof id === 'string')) {
+        errors.push('Add at least one mission');
+    }
+    if (!Array.isArray(data.carryOver) || !data.carryOver.every(key => CAMPAIGN_CARRY_OVER.includes(key))) {
+        errors.push('Carry-over choices are not valid');
+    }
+    if (!Array.isArray(data.results)) {
+        errors.push('Campaign results must be a list');
+    } else {
+        data.results.forEach((result, index) => {
+            if (!result || !CAMPAIGN_OUTCOMES[result.outcome] || !Number.isInteger(result.marinesLost) || !Number.isInteger(result.turns)) {
+                errors.push(`Result ${index + 1} is not valid`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Saves the campaign to localStorage
+ */
+function saveCampaign() {
+    try {
+        if (campaign) {
+            localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(campaign));
+        } else {
+            localStorage.removeItem(CAMPAIGN_STORAGE_KEY);
+        }
+    } catch (e) {
+        console.warn('Failed to save campaign:', e);
+    }
+}
+
+/**
+ * Loads the campaign from localStorage
+ */
+function loadCampaign() {
+    try {
+        const saved = localStorage.getItem(CAMPAIGN_STORAGE_KEY);
+        if (saved) {
+            const data = JSON.parse(saved);
+            const errors = validateCampaign(data);
+            if (errors.length > 0) {
+                console.warn('Ignored invalid campaign:', errors);
+            } else {
+                campaign = data;
+            }
+        }
+    } catch (e) {
+        console.warn('Failed to load campaign:', e);
+    }
+    updateMissionDisplay();
+}
+
+// ============================================
+// Player Profiles
+// ============================================
+
+const PROFILES_STORAGE_KEY = 'spaceHulkTrackerProfiles';
+
+// Turn times kept for each player - the oldest are dropped past this
+const PROFILE_TURN_LIMIT = 500;
+
+// Players on this device with their turn times and results, shared by every saved game
+let profileStore = { profiles: [], nextProfileId: 1 };
+
+/**
+ * Finds a player profile
+ * @param {string} id - Profile ID
+ * @returns {Object|undefined} Profile
+ */
+function getProfile(id) {
+    return profileStore.profiles.find(p => p.id === id);
+}
+
+/**
+ * Gets the profile playing a side in this game
+ * @param {string} side - Key of PLAYER_SIDES
+ * @returns {Object|null} Profile, or null when nobody is chosen or the profile was deleted
+ */
+function getAssignedProfile(side) {
+    const id = state.players.profiles[side];
+    return (id && getProfile(id)) || null;
+}
+
+/**
+ * Works out a player's turn time - their own default, changed by their handicap when it is on
+ * @param {Object} profile - Player profile
+ * @returns {number} Minutes for each Marine turn
+ */
+function getProfileMinutes(profile) {
+    const handicap = profile.handicap ? getHandicapMinutes(profile.results) : 0;
+    return Math.max(1, Math.min(60, profile.defaultMinutes + handicap));
+}
+
+/**
+ * Sets the turn timer to the time of the Marine player
+ */
+function applyProfileTime() {
+    const profile = getAssignedProfile('marine');
+    if (profile) {
+        const minutes = getProfileMinutes(profile);
+        document.getElementById('timerMinutes').value = minutes;
+        setTimerMinutes(minutes);
+    }
+    updateTimerPlayer();
+}
+
+/**
+ * Shows who the timer is running for under the timer
+ */
+function updateTimerPlayer() {
+    const label = document.getElementById('timerPlayer');
+    const profile = getAssignedProfile('marine');
+    
+    label.classList.toggle('hidden', !profile);
+    if (!profile) return;
+    
+    const handicap = profile.handicap ? getHandicapMinutes(profile.results) : 0;
+    label.textContent = `Marine player: ${profile.name}${handicap !== 0 ? ` (handicap ${handicap > 0 ? '+' : '−'}${Math.abs(handicap)} min)` : ''}`;
+}
+
+/**
+ * Records the time the Marine player used in the turn just ended
+ * @param {number} seconds - Seconds used
+ */
+function recordTurnTime(seconds) {
+    const profile = getAssignedProfile('marine');
+    if (!profile || seconds <= 0) return;
+    
+    // Undoing and replaying a phase change replaces the turn rather than counting it twice
+    const game = sessionStore.activeId;
+    const turn = state.turn.number;
+    profile.turns = profile.turns.filter(t => t.game !== game || t.turn !== turn);
+    profile.turns.push({ game: game, turn: turn, seconds: seconds });
+    profile.turns = profile.turns.slice(-PROFILE_TURN_LIMIT);
+    saveProfiles();
+}
+
+/**
+ * Records which side won the current game for both players, then updates the Marine player's handicapped time
+ * @param {string} winner - Key of PLAYER_SIDES
+ */
+function recordProfileResult(winner) {
+    const game = sessionStore.activeId;
+    let recorded = false;
+    
+    Object.keys(PLAYER_SIDES).forEach(side => {
+        const profile = getAssignedProfile(side);
+        if (!profile) return;
+        
+        // A game has one result - recording it again corrects it
+        profile.results = profile.results.filter(r => r.game !== game);
+        profile.results.push({ game: game, won: side === winner });
+        recorded = true;
+    });
+    if (!recorded) return;
+    
+    saveProfiles();
+    applyProfileTime();
+    renderProfiles();
+    showToast(`${PLAYER_SIDES[winner]} win recorded`);
+}
+
+/**
+ * Chooses the profile playing a side in this game
+ * @param {string} side - Key of PLAYER_SIDES
+ * @param {string} id - Profile ID, or an empty string for nobody
+ */
+function assignProfile(side, id) {
+    recordAction(`${PLAYER_SIDES[side]} player`);
+    state.players.profiles[side] = id || null;
+    
+    if (side === 'marine') {
+        applyProfileTime();
+    }
+    renderProfiles();
+    saveState();
+}
+
+/**
+ * Adds a player profile from the form in the profiles dialog
+ */
+function addProfile() {
+    const nameInput = document.getElementById('profileName');
+    const minutesInput = document.getElementById('profileMinutes');
+    const name = nameInput.value.trim();
+    const minutes = parseInt(minutesInput.value);
+    
+    if (!name) {
+        document.getElementById('profilesError').textContent = 'Give the player a name';
+        nameInput.focus();
+        return;
+    }
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 60) {
+        document.getElementById('profilesError').textContent = 'Turn time must be from 1 to 60 minutes';
+        minutesInput.focus();
+        return;
+    }
+    document.getElementById('profilesError').textContent = '';
+    
+    profileStore.profiles.push({
+        id: `profile-${profileStore.nextProfileId++}`,
+        name: name,
+        defaultMinutes: minutes,
+        handicap: false,
+        turns: [],
+        results: []
+    });
+    nameInput.value = '';
+    saveProfiles();
+    renderProfiles();
+}
+
+/**
+ * Changes a player's own turn time
+ * @param {string} id - Profile ID
+ * @param {string|number} minutes - New turn time in minutes
+ */
+function setProfileMinutes(id, minutes) {
+    const profile = getProfile(id);
+    if (!profile) return;
+    
+    profile.defaultMinutes = Math.max(1, Math.min(60, parseInt(minutes) || profile.defaultMinutes));
+    saveProfiles();
+    if (getAssignedProfile('marine') === profile) {
+        applyProfileTime();
+    }
+    renderProfiles();
+}
+
+/**
+ * Turns the handicap on or off for a player
+ * @param {string} id - Profile ID
+ * @param {boolean} enabled - True to change their time by their win history
+ */
+function setProfileHandicap(id, enabled) {
+    const profile = getProfile(id);
+    if (!profile) return;
+    
+    profile.handicap = enabled;
+    saveProfiles();
+    if (getAssignedProfile('marine') === profile) {
+        applyProfileTime();
+    }
+    renderProfiles();
+}
+
+/**
+ * Deletes a player profile with its turn times and results
+ * @param {string} id - Profile ID
+ */
+function deleteProfile(id) {
+    const profile = getProfile(id);
+    if (!profile || !confirm(`Delete ${profile.name}? Their turn times and results will be lost.`)) return;
+    
+    profileStore.profiles = profileStore.profiles.filter(p => p !== profile);
+    saveProfiles();
+    updateTimerPlayer();
+    renderProfiles();
+}
+
+/**
+ * Opens the player profiles and stats dialog
+ */
+function openProfiles() {
+    document.getElementById('profilesError').textContent = '';
+    renderProfiles();
+    openModal('profilesModal');
+}
+
+/**
+ * Closes the player profiles and stats dialog
+ */
+function closeProfiles() {
+    closeModal('profilesModal');
+}
+
+/**
+ * Renders the players of this game, the turn time stats and the list of profiles
+ */
+function renderProfiles() {
+    const options = ['<option value="">Nobody</option>']
+        .concat(profileStore.profiles.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`))
+        .join('');
+    Object.keys(PLAYER_SIDES).forEach(side => {
+        const select = document.getElementById(`${side}Profile`);
+        select.innerHTML = options;
+        select.value = getAssignedProfile(side) ? state.players.profiles[side] : '';
+    });
+    
+    const statRows = profileStore.profiles.map(profile => {
+        const stats = getTurnStats(profile.turns);
+        const wins = profile.results.filter(r => r.won).length;
+        return `
+            <tr>
+                <td>${escapeHtml(profile.name)}</td>
+                <td>${stats.count}</td>
+                <td>${stats.count ? formatDuration(stats.average) : '—'}</td>
+                <td>${stats.count ? formatDuration(stats.worst) : '—'}</td>
+                <td>${wins}/${profile.results.length}</td>
+                <td>${formatDuration(getProfileMinutes(profile) * 60)}</td>
+            </tr>
+        `;
+    }).join('');
+    document.getElementById('profileStats').innerHTML = `
+        <table class="report-table">
+            <thead><tr><th>Player</th><th>Turns</th><th>Average</th><th>Worst</th><th>Wins</th><th>Turn Time</th></tr></thead>
+            <tbody>${statRows || '<tr><td colspan="6">No players yet</td></tr>'}</tbody>
+        </table>
+    `;
+    
+    document.getElementById('profileList').innerHTML = profileStore.profiles.map(profile => `
+        <li class="profile-item">
+            <span class="profile-name">${escapeHtml(profile.name)}</span>
+            <input type="number" min="1" max="60" value="${profile.defaultMinutes}" onchange="setProfileMinutes('${profile.id}', this.value)" aria-label="Turn minutes for ${escapeHtml(profile.name)}">
+            <label class="settings-check">
+                <input type="checkbox" ${profile.handicap ? 'checked' : ''} onchange="setProfileHandicap('${profile.id}', this.checked)">
+                <span>Handicap</span>
+            </label>
+            <button class="btn-icon" onclick="deleteProfile('${profile.id}')" aria-label="Delete ${escapeHtml(profile.name)}" title="Delete">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Checks the player profiles loaded from storage
+ * @param {Object} data - Profile store
+ * @returns {string[]} Problems found
+ */
+function validateProfiles(data) {
+    const errors = [];
+    
+    if (!data || typeof data !== 'object' || !Array.isArray(data.profiles)) {
+        return ['Player profiles are not valid'];
+    }
+    if (!Number.isInteger(data.nextProfileId) || data.nextProfileId < 1) {
+        errors.push('nextProfileId must be a whole number of at least 1');
+    }
+    data.profiles.forEach((profile, index) => {
+        const where = `Profile ${index + 1}`;
+        if (!profile || typeof profile.id !== 'string' || typeof profile.name !== 'string' || profile.name.trim() === '') {
+            errors.push(`${where} needs an ID and a name`);
+            return;
+        }
+        if (!Number.isInteger(profile.defaultMinutes) || profile.defaultMinutes < 1 || profile.defaultMinutes > 60) {
+            errors.push(`${where} turn time must be from 1 to 60 minutes`);
+        }
+        if (typeof profile.handicap !== 'boolean') {
+            errors.push(`${where} handicap must be true or false`);
+        }
+        if (!Array.isArray(profile.turns) || !profile.turns.every(t => t && Number.isInteger(t.seconds) && t.seconds > 0)) {
+            errors.push(`${where} turn times are not valid`);
+        }
+        if (!Array.isArray(profile.results) || !profile.results.every(r => r && typeof r.won === 'boolean')) {
+            errors.push(`${where} results are not valid`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Saves the player profiles to localStorage
+ */
+function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profileStore));
+    } catch (e) {
+        console.warn('Failed to save player profiles:', e);
+    }
+}
+
+/**
+ * Loads the player profiles from localStorage
+ */
+function loadProfiles() {
+    try {
+        const saved = localStorage.getItem(PROFILES_STORAGE_KEY);
+        if (saved) {
+            const data = JSON.parse(saved);
+            const errors = validateProfiles(data);
+            if (errors.length > 0) {
+                console.warn('Ignored invalid player profiles:', errors);
+            } else {
+                profileStore = data;
+            }
+        }
+    } catch (e) {
+        console.warn('Failed to load player profiles:', e);
+    }
+    updateTimerPlayer();
+}
+
+// ============================================
+// State Persistence
+// ============================================
+
+// Whether the last save failed - the player is told once rather than on every change
+let saveFailed = false;
+
+/**
+ * Saves current state to localStorage, giving up the saved undo steps if storage is full
+ */
+function saveState() {
+    const saved = JSON.stringify(getSaveData());
+    
+    try {
+        try {
+            localStorage.setItem(getSessionKey('spaceHulkTracker'), saved);
+        } catch (e) {
+            // The game matters more than its undo steps - they stay in memory until the page is closed
+            localStorage.removeItem(getSessionKey('spaceHulkTrackerHistory'));
+            localStorage.setItem(getSessionKey('spaceHulkTracker'), saved);
+        }
+        touchActiveSession();
+        saveFailed = false;
+    } catch (e) {
+        console.warn('Failed to save state:', e);
+        if (!saveFailed) {
+            saveFailed = true;
+            showToast('Game not saved - device storage is full');
+        }
+    }
+    syncLocalChanges();
+}
+
+/**
+ * Loads state from localStorage
+ */
+function loadState() {
+    const key = getSessionKey('spaceHulkTracker');
+    const saved = localStorage.getItem(key);
+    if (!saved) return;
+    
+    try {
+        applyState(parseSaveData(saved));
+    } catch (e) {
+        console.warn('Failed to load state:', e);
+        
+        // Keep the unreadable data so it is not lost when the defaults are saved over it
+        localStorage.setItem(`spaceHulkTrackerBackup-${sessionStore.activeId}`, saved);
+        showErrorDialog('Saved Game Could Not Be Loaded', [
+            ...(e instanceof SaveDataError ? e.errors : [e.message]),
+            'Starting from a fresh game. The original data was kept as a backup.'
+        ]);
+    }
+}
+
+/**
+ * Replaces the current state with saved data and re-renders every tracker
+ * @param {Object} data - State data as produced by getSaveData
+ */
+function applyState(data) {
+    // Restore timer
+    if (data.timer) {
+        state.timer.minutes = data.timer.minutes ?? 3;
+        state.timer.seconds = data.timer.seconds ?? 0;
+        state.timer.defaultMinutes = data.timer.defaultMinutes ?? 3;
+        document.getElementById('timerMinutes').value = state.timer.defaultMinutes;
+        
+        // Player clocks carry on counting from when they were saved
+        if (data.timer.elapsed) {
+            stopPlayerClock();
+            state.timer.elapsed = { ...data.timer.elapsed };
+            if (data.timer.activePlayer && Number.isFinite(data.timer.activeSince)) {
+                state.timer.activePlayer = data.timer.activePlayer;
+                state.timer.activeSince = data.timer.activeSince;
+                runPlayerClock();
+            }
+        }
+    }
+    
+    // Restore turn and phase
+    if (data.turn) {
+        state.turn.number = data.turn.number ?? 1;
+        if (TURN_PHASES.some(p => p.id === data.turn.phase)) {
+            state.turn.phase = data.turn.phase;
+        }
+    }
+    
+    // Restore points
+    state.weapons = data.weapons ?? createWeaponStates();
+    state.blipPool = data.blipPool ?? DEFAULT_BLIP_POOL;
+    state.blipsEntered = data.blipsEntered ?? 0;
+    
+    // Restore two-player options
+    if (data.players) {
+        state.players = { ...data.players };
+        updateTimerPlayer();
+    }
+    
+    // Restore squad roster
+    if (data.roster) {
+        state.roster = data.roster;
+        state.nextMarineId = data.nextMarineId || 1;
+        renderRoster();
+    }
+    
+    // Restore the tracker registry and the board layout
+    if (data.trackers) {
+        state.trackers = data.trackers;
+        state.nextTrackerId = data.nextTrackerId || 1;
+    }
+    if (data.layout) {
+        state.layout = data.layout;
+    }
+    
+    // Restore mission
+    state.mission = data.mission ?? null;
+    
+    // Restore weapon limits and alerts
+    if (data.trackerSettings) {
+        state.trackerSettings = data.trackerSettings;
+    }
+    
+    // Restore sound and timer warning settings
+    if (data.alerts) {
+        state.alerts = data.alerts;
+        updateMuteButton();
+    }
+    
+    // Restore keyboard and gamepad controls
+    if (data.bindings) {
+        state.bindings = data.bindings;
+    }
+    
+    // Restore the skin
+    if (data.appearance) {
+        state.appearance = data.appearance;
+        applyAppearance();
+    }
+    
+    // Restore visibility settings
+    if (data.visibility) {
+        state.visibility = { psychic: true, cannon: true, command: true, dice: true, roster: true, ...data.visibility };
+    }
+    state.rosterHidden = data.rosterHidden ?? [];
+    
+    // Render the trackers and lay out the board once their visibility is known
+    renderTrackers();
+    
+    // Apply visibility to all trackers
+    Object.keys(state.visibility).forEach(tracker => {
+        updateTrackerVisibility(tracker);
+        updateMenuCheckbox(tracker);
+    });
+    
+    // Carry on a turn that was being timed, counting the time the page was closed
+    if (data.timer && data.timer.isRunning && Number.isFinite(data.timer.endsAt)) {
+        resumeTimer(data.timer.endsAt);
+    }
+    
+    // Update displays
+    updateTimerDisplay();
+    updateTurnDisplay();
+    updateMissionDisplay();
+    ['blips', 'blipsEntered', ...Object.keys(WEAPON_MODULES)].forEach(updateTrackerValueDisplay);
+    updatePlayerLayout();
+}
+
+// ============================================
+// Game Sessions
+// ============================================
+
+// Only refresh a session's last-played time once a minute while the timer saves every second
+const SESSION_TOUCH_INTERVAL = 60000;
+
+// Index of saved games - each session's state lives under its own storage key
+const sessionStore = {
+    activeId: null,
+    sessions: []
+};
+
+/**
+ * Gets the storage key for data belonging to the active session
+ * @param {string} prefix - Base storage key
+ * @returns {string} Session-specific storage key
+ */
+function getSessionKey(prefix) {
+    return `${prefix}-${sessionStore.activeId}`;
+}
+
+/**
+ * Creates a session record
+ * @param {string} name - Session name
+ * @returns {Object} Session record
+ */
+function createSessionRecord(name) {
+    const now = Date.now();
+    return {
+        id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+        name: name,
+        createdAt: now,
+        lastPlayedAt: now
+    };
+}
+
+/**
+ * Gets the active session record
+ * @returns {Object|undefined} Active session
+ */
+function getActiveSession() {
+    return sessionStore.sessions.find(session => session.id === sessionStore.activeId);
+}
+
+/**
+ * Creates a new game session and switches to it
+ */
+function createSession() {
+    const nameInput = document.getElementById('sessionName');
+    const name = nameInput.value.trim() || `Game ${sessionStore.sessions.length + 1}`;
+    
+    saveState();
+    const session = createSessionRecord(name);
+    sessionStore.sessions.push(session);
+    localStorage.setItem(`spaceHulkTracker-${session.id}`, JSON.stringify(createDefaultSaveData()));
+    
+    nameInput.value = '';
+    switchSession(session.id);
+}
+
+/**
+ * Switches to another saved game session
+ * @param {string} id - Session ID
+ */
+function switchSession(id) {
+    const session = sessionStore.sessions.find(s => s.id === id);
+    if (!session) return;
+    
+    // Store the game we are leaving before loading the next one
+    if (sessionStore.activeId !== id && getActiveSession()) {
+        saveState();
+    }
+    pauseTimer();
+    stopAlarm();
+    hideToast();
+    
+    sessionStore.activeId = id;
+    session.lastPlayedAt = Date.now();
+    saveSessions();
+    
+    applyState(createDefaultSaveData());
+    loadState();
+    loadHistory();
+    loadEventLog();
+    loadRollHistory();
+    renderSessionList();
+    
+    // Synced devices follow the game that was switched to
+    syncLocalChanges();
+}
+
+/**
+ * Renames a saved game session
+ * @param {string} id - Session ID
+ */
+function renameSession(id) {
+    const session = sessionStore.sessions.find(s => s.id === id);
+    if (!session) return;
+    
+    const name = prompt('Rename game', session.name);
+    if (name && name.trim()) {
+        session.name = name.trim();
+        saveSessions();
+        renderSessionList();
+    }
+}
+
+/**
+ * Duplicates a saved game session
+ * @param {string} id - Session ID
+ */
+function duplicateSession(id) {
+    const session = sessionStore.sessions.find(s => s.id === id);
+    if (!session) return;
+    
+    // Make sure the copy includes the latest state of the active game
+    if (id === sessionStore.activeId) {
+        saveState();
+    }
+    
+    const copy = createSessionRecord(`${session.name} (copy)`);
+    const saved = localStorage.getItem(`spaceHulkTracker-${id}`);
+    if (saved) {
+        localStorage.setItem(`spaceHulkTracker-${copy.id}`, saved);
+    }
+    
+    sessionStore.sessions.splice(sessionStore.sessions.indexOf(session) + 1, 0, copy);
+    saveSessions();
+    renderSessionList();
+}
+
+/**
+ * Deletes a saved game session
+ * @param {string} id - Session ID
+ */
+function deleteSession(id) {
+    const session = sessionStore.sessions.find(s => s.id === id);
+    if (!session) return;
+    
+    if (!confirm(`Delete "${session.name}"? This cannot be undone.`)) return;
+    
+    sessionStore.sessions = sessionStore.sessions.filter(s => s.id !== id);
+    localStorage.removeItem(`spaceHulkTracker-${id}`);
+    localStorage.removeItem(`spaceHulkTrackerHistory-${id}`);
+    localStorage.removeItem(`spaceHulkTrackerLog-${id}`);
+    localStorage.removeItem(`spaceHulkTrackerRolls-${id}`);
+    localStorage.removeItem(`spaceHulkTrackerBackup-${id}`);
+    
+    if (id === sessionStore.activeId) {
+        // Keep at least one game around to play in
+        if (sessionStore.sessions.length === 0) {
+            sessionStore.sessions.push(createSessionRecord('Game 1'));
+        }
+        sessionStore.activeId = null;
+        switchSession(sessionStore.sessions[0].id);
+    } else {
+        saveSessions();
+        renderSessionList();
+    }
+}
+
+/**
+ * Refreshes the last-played time of the active session
+ */
+function touchActiveSession() {
+    const session = getActiveSession();
+    if (session && Date.now() - session.lastPlayedAt > SESSION_TOUCH_INTERVAL) {
+        session.lastPlayedAt = Date.now();
+        saveSessions();
+    }
+}
+
+/**
+ * Renders the list of saved games in the menu
+ */
+function renderSessionList() {
+    const list = document.getElementById('sessionList');
+    
+    // Most recently played first
+    const sessions = sessionStore.sessions.slice().sort((a, b) => b.lastPlayedAt - a.lastPlayedAt);
+    list.innerHTML = sessions.map(session => `
+        <li class="session-item${session.id === sessionStore.activeId ? ' active' : ''}">
+            <button class="session-switch" onclick="switchSession('${escapeHtml(session.id)}')">
+                <span class="session-name">${escapeHtml(session.name)}</span>
+                <span class="session-date">Last played ${formatDateTime(session.lastPlayedAt)}</span>
+            </button>
+            <button class="btn-icon" onclick="renameSession('${escapeHtml(session.id)}')" aria-label="Rename game" title="Rename">
+                <span class="material-symbols-outlined">edit</span>
+            </button>
+            <button class="btn-icon" onclick="duplicateSession('${escapeHtml(session.id)}')" aria-label="Duplicate game" title="Duplicate">
+                <span class="material-symbols-outlined">content_copy</span>
+            </button>
+            <button class="btn-icon" onclick="deleteSession('${escapeHtml(session.id)}')" aria-label="Delete game" title="Delete">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Saves the session index to localStorage
+ */
+function saveSessions() {
+    try {
+        localStorage.setItem('spaceHulkTrackerSessions', JSON.stringify(sessionStore));
+    } catch (e) {
+        console.warn('Failed to save sessions:', e);
+    }
+}
+
+/**
+ * Loads the session index, migrating single-slot data from older versions into the first session
+ */
+function loadSessions() {
+    try {
+        const saved = localStorage.getItem('spaceHulkTrackerSessions');
+        if (saved) {
+            const data = JSON.parse(saved);
+            sessionStore.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+            sessionStore.activeId = data.activeId;
+        }
+    } catch (e) {
+        console.warn('Failed to load sessions:', e);
+    }
+    
+    if (sessionStore.sessions.length === 0) {
+        const session = createSessionRecord('Game 1');
+        sessionStore.sessions.push(session);
+        
+        // Move the old single-slot game and its history into the first session
+        const legacyState = localStorage.getItem('spaceHulkTracker');
+        if (legacyState) {
+            localStorage.setItem(`spaceHulkTracker-${session.id}`, legacyState);
+            localStorage.removeItem('spaceHulkTracker');
+        }
+        const legacyHistory = localStorage.getItem('spaceHulkTrackerHistory');
+        if (legacyHistory) {
+            localStorage.setItem(`spaceHulkTrackerHistory-${session.id}`, legacyHistory);
+            localStorage.removeItem('spaceHulkTrackerHistory');
+        }
+    }
+    
+    if (!getActiveSession()) {
+        sessionStore.activeId = sessionStore.sessions[0].id;
+    }
+    saveSessions();
+    renderSessionList();
+}
+
+// ============================================
+// Share Game
+// ============================================
+
+// Version of the compact share format - bump when the layout below changes
+const SHARE_FORMAT_VERSION = 9;
+
+// URL fragment prefix that carries a shared game
+const SHARE_HASH_PREFIX = '#game=';
+
+// Pixel size of the QR code canvas
+const QR_CANVAS_SIZE = 256;
+
+/**
+ * Serializes state data into a compact, versioned string for a URL fragment
+ * @param {Object} data - State data as produced by getSaveData
+ * @returns {string} Share string
+ */
+function encodeShareState(data) {
+    const compact = {
+        t: [data.timer.minutes, data.timer.seconds, data.timer.defaultMinutes],
+        u: [data.turn.number, TURN_PHASES.findIndex(p => p.id === data.turn.phase)],
+        // Slots 1, 3 and 4 held the Assault Cannon until weapon modules moved it into w (version 5),
+        // slots 0 and 2 the psychic and command points until the tracker registry moved them into k (version 6)
+        p: [null, null, null, null, null, data.blipPool, data.blipsEntered],
+        k: data.trackers.map(t => [t.id, t.name, t.defaultValue, t.value, t.removed ? 1 : 0, ...compactTrackerSettings(t.settings)]),
+        w: Object.keys(WEAPON_MODULES).map(id => {
+            const weapon = data.weapons[id];
+            return [
+                id, weapon.ammo, weapon.reloads, weapon.maxReloads, weapon.destroyed ? 1 : 0, weapon.markers,
+                compactTrackerSettings(data.trackerSettings[id]), weapon.defaultAmmo, weapon.removed ? 1 : 0
+            ];
+        }),
+        g: [data.players.twoPlayer ? 1 : 0, data.players.chessClock ? 1 : 0, data.players.tableTop ? 1 : 0],
+        r: data.roster.map(m => [
+            m.id, m.name, m.weapon,
+            ['librarian', 'alive', 'overwatch', 'guard', 'jammed'].reduce((flags, key, bit) => flags | (m[key] ? 1 << bit : 0), 0)
+        ]),
+        n: data.nextTrackerId,
+        l: [data.layout.order, data.layout.groups.map(g => [g.id, g.name, g.collapsed ? 1 : 0, g.sections]), data.layout.nextGroupId],
+        // Everything is visible by default, so only the hidden trackers are sent
+        h: Object.keys(data.visibility).filter(key => data.visibility[key] === false)
+    };
+    if (data.mission) {
+        compact.m = [data.mission.id, data.mission.name, data.mission.winCondition];
+    }
+    return `${SHARE_FORMAT_VERSION}.${toBase64Url(JSON.stringify(compact))}`;
+}
+
+/**
+ * Restores state data from a share string
+ * @param {string} text - Share string from encodeShareState
+ * @returns {Object} State data for applyState
+ * @throws {Error} If the string is malformed or from an unsupported version
+ */
+function decodeShareState(text) {
+    const separator = text.indexOf('.');
+    const version = parseInt(text.slice(0, separator));
+    // Older links open with defaults for what they lack: tracker settings (v1), the Genestealer side (v2), the roster (v3),
+    // weapons other than the Assault Cannon (v4), the order and removed trackers of the registry (v5) and the board layout (v6)
+    if (separator === -1 || version < 1 || version > SHARE_FORMAT_VERSION) {
+        throw new Error(`Unsupported share format version: ${text.slice(0, separator)}`);
+    }
+    
+    const compact = JSON.parse(fromBase64Url(text.slice(separator + 1)));
+    if (!Array.isArray(compact.t) || !Array.isArray(compact.u) || !Array.isArray(compact.p) ||
+        !(Array.isArray(compact.k) || Array.isArray(compact.c))) {
+        throw new Error('Shared game is incomplete');
+    }
+    
+    // Links from before the tracker registry carry the built-in values in p, their settings in s and custom trackers in c
+    const builtInSettings = compact.s || [];
+    let trackers;
+    if (compact.k) {
+        trackers = compact.k.map(([id, name, defaultValue, value, removed, ...settings]) => ({
+            id,
+            name,
+            defaultValue,
+            value,
+            settings: expandTrackerSettings(settings),
+            removed: removed === 1
+        }));
+    } else {
+        const psychic = createTracker('psychic', BUILT_IN_TRACKERS.psychic);
+        psychic.value = compact.p[0];
+        psychic.settings = expandTrackerSettings(builtInSettings[0]);
+        const command = createTracker('command', BUILT_IN_TRACKERS.command);
+        command.value = compact.p[2];
+        command.settings = expandTrackerSettings(builtInSettings[2]);
+        trackers = [psychic, command, ...compact.c.map(([id, name, defaultValue, value, ...settings]) => ({
+            id: `custom-${id}`,
+            name,
+            defaultValue,
+            value,
+            settings: expandTrackerSettings(settings),
+            removed: false
+        }))];
+    }
+    
+    // Links from before weapon modules only carry the Assault Cannon, in the point slots
+    const weapons = createWeaponStates();
+    const weaponSettings = { cannon: expandTrackerSettings(builtInSettings[1]) };
+    if (compact.w) {
+        // Links from before version 8 reset weapons to their full load, and from before version 9 have every weapon on the board
+        compact.w.forEach(([id, ammo, reloads, maxReloads, destroyed, markers, settings, defaultAmmo, removed]) => {
+            if (!WEAPON_MODULES[id]) return;
+            weapons[id] = {
+                ammo, defaultAmmo: defaultAmmo ?? WEAPON_MODULES[id].ammo, reloads, maxReloads,
+                destroyed: destroyed === 1, markers, removed: removed === 1
+            };
+            weaponSettings[id] = expandTrackerSettings(settings);
+        });
+    } else {
+        weapons.cannon.ammo = compact.p[1];
+        weapons.cannon.reloads = compact.p[3];
+        weapons.cannon.destroyed = compact.p[4] === 1;
+    }
+    Object.keys(WEAPON_MODULES).forEach(id => {
+        weaponSettings[id] = weaponSettings[id] || createTrackerSettings();
+    });
+    const roster = (compact.r || []).map(([id, name, weapon, flags]) => {
+        const marine = { id, name, weapon };
+        ['librarian', 'alive', 'overwatch', 'guard', 'jammed'].forEach((key, bit) => {
+            marine[key] = (flags & (1 << bit)) !== 0;
+        });
+        return marine;
+    });
+    const visibility = createDefaultSaveData().visibility;
+    trackers.forEach(t => {
+        visibility[t.id] = true;
+    });
+    (compact.h || []).forEach(key => {
+        visibility[key === 'librarian' ? 'psychic' : key] = false;
+    });
+    
+    return {
         timer: {
-            minutes: state.timer.minutes,
-            seconds: state.timer.seconds,
-            defaultMinutes: state.timer.defaultMinutes
+            minutes: compact.t[0],
+            seconds: compact.t[1],
+            defaultMinutes: compact.t[2],
+            isRunning: false,
+            endsAt: null,
+            activePlayer: null,
+            activeSince: null,
+            elapsed: { marine: 0, genestealer: 0 }
+        },
+        turn: {
+            number: compact.u[0],
+            phase: (TURN_PHASES[compact.u[1]] || TURN_PHASES[0]).id
         },
-        psychicPoints: state.psychicPoints,
-        cannonPoints: state.cannonPoints,
-        commandPoints: state.commandPoints,
-        customTrackers: state.customTrackers,
-        nextTrackerId: state.nextTrackerId,
-        visibility: state.visibility
+        trackers: trackers,
+        weapons: weapons,
+        nextTrackerId: compact.n,
+        layout: compact.l ? {
+            order: compact.l[0],
+            groups: compact.l[1].map(([id, name, collapsed, sections]) => ({ id, name, collapsed: collapsed === 1, sections })),
+            nextGroupId: compact.l[2]
+        } : createDefaultLayout(trackers),
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        mission: compact.m ? { id: compact.m[0], name: compact.m[1], winCondition: compact.m[2] } : null,
+        trackerSettings: weaponSettings,
+        alerts: createDefaultAlertSettings(),
+        bindings: createDefaultBindings(),
+        appearance: createDefaultAppearance(),
+        blipPool: compact.p[5] ?? DEFAULT_BLIP_POOL,
+        blipsEntered: compact.p[6] ?? 0,
+        roster: roster,
+        nextMarineId: roster.length ? Math.max(...roster.map(m => m.id)) + 1 : 1,
+        players: {
+            twoPlayer: compact.g ? compact.g[0] === 1 : false,
+            chessClock: compact.g ? compact.g[1] === 1 : false,
+            tableTop: compact.g ? compact.g[2] === 1 : false,
+            profiles: { marine: null, genestealer: null }
+        },
+        visibility: visibility,
+        rosterHidden: []
+    };
+}
+
+/**
+ * Packs tracker settings into an array for the share format
+ * @param {Object} settings - Tracker settings
+ * @returns {Array} Min, max, step, low threshold and alert flag
+ */
+function compactTrackerSettings(settings) {
+    return [settings.min, settings.max, settings.step, settings.lowThreshold, settings.zeroAlert ? 1 : 0];
+}
+
+/**
+ * Unpacks tracker settings from the share format
+ * @param {Array} [compact] - Array from compactTrackerSettings, missing in version 1 links
+ * @returns {Object} Tracker settings
+ */
+function expandTrackerSettings(compact) {
+    if (!Array.isArray(compact) || compact.length < 5) {
+        return createTrackerSettings();
+    }
+    const [min, max, step, lowThreshold, zeroAlert] = compact;
+    return createTrackerSettings({ min, max, step, lowThreshold, zeroAlert: zeroAlert === 1 });
+}
+
+/**
+ * Builds a link that opens the current game on another device
+ * @returns {string} Share URL
+ */
+function getShareUrl() {
+    return `${location.origin}${location.pathname}${SHARE_HASH_PREFIX}${encodeShareState(getSaveData())}`;
+}
+
+/**
+ * Opens the share dialog with a link and QR code for the current game
+ */
+function showShareDialog() {
+    const url = getShareUrl();
+    document.getElementById('shareUrl').value = url;
+    
+    try {
+        drawQrCode(document.getElementById('shareQr'), QrCode.encode(url));
+    } catch (e) {
+        console.warn('Failed to create QR code:', e);
+        showToast('Too much to fit in a QR code - use the link instead');
+    }
+    
+    closeMenu();
+    openModal('shareModal');
+}
+
+/**
+ * Draws a QR code onto a canvas, including the quiet zone around it
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} qr - QR code from QrCode.encode
+ */
+function drawQrCode(canvas, qr) {
+    const border = 4;
+    const scale = Math.max(1, Math.floor(QR_CANVAS_SIZE / (qr.size + border * 2)));
+    const dimension = (qr.size + border * 2) * scale;
+    
+    canvas.width = dimension;
+    canvas.height = dimension;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, dimension, dimension);
+    ctx.fillStyle = '#000000';
+    
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) {
+                ctx.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+            }
+        });
+    });
+}
+
+/**
+ * Copies the share link to the clipboard
+ */
+function copyShareLink() {
+    const input = document.getElementById('shareUrl');
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(input.value)
+            .then(() => showToast('Link copied'))
+            .catch(e => console.warn('Failed to copy link:', e));
+    } else {
+        input.select();
+        document.execCommand('copy');
+        showToast('Link copied');
+    }
+}
+
+/**
+ * Opens a game shared through the URL fragment as a new saved game
+ */
+function loadSharedGame() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+    
+    const text = location.hash.slice(SHARE_HASH_PREFIX.length);
+    // Drop the fragment so a reload does not import the game again
+    history.replaceState(null, '', location.pathname + location.search);
+    
+    let data;
+    try {
+        data = parseSaveData(JSON.stringify(decodeShareState(decodeURIComponent(text))));
+    } catch (e) {
+        console.warn('Failed to load shared game:', e);
+        showErrorDialog('Shared Game Could Not Be Loaded', e instanceof SaveDataError ? e.errors : [e.message]);
+        return;
+    }
+    
+    const session = createSessionRecord(data.mission ? `${data.mission.name} (shared)` : 'Shared Game');
+    sessionStore.sessions.push(session);
+    localStorage.setItem(`spaceHulkTracker-${session.id}`, JSON.stringify(data));
+    switchSession(session.id);
+    showToast('Shared game loaded');
+}
+
+// ============================================
+// Import & Export
+// ============================================
+
+/**
+ * Downloads the current game and saved mission setups as a JSON file
+ */
+function exportState() {
+    const exportData = {
+        app: 'space-hulk-tracker',
+        exportedAt: new Date().toISOString(),
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        state: getSaveData(),
+        missions: userMissionPresets
+    };
+    const date = exportData.exportedAt.slice(0, 10);
+    downloadFile(`space-hulk-${date}.json`, JSON.stringify(exportData, null, 2), 'application/json');
+}
+
+/**
+ * Imports a game from an exported JSON file, replacing the current game
+ * @param {File} file - Selected JSON file
+ */
+function importState(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let exportData;
+        let data;
+        try {
+            exportData = JSON.parse(reader.result);
+            // Older exports and raw saves hold the state at the top level
+            const saved = exportData && exportData.state ? exportData.state : exportData;
+            data = parseSaveData(JSON.stringify(saved));
+        } catch (e) {
+            showErrorDialog('Import Failed', e instanceof SaveDataError ? e.errors : ['The file is not valid JSON']);
+            return;
+        }
+        
+        recordAction('Import game', true);
+        pauseTimer();
+        stopAlarm();
+        applyState(data);
+        saveState();
+        
+        // Bring in saved mission setups we do not have yet
+        if (Array.isArray(exportData.missions)) {
+            exportData.missions.forEach(mission => {
+                if (mission && mission.id && !userMissionPresets.some(m => m.id === mission.id)) {
+                    userMissionPresets.push(mission);
+                }
+            });
+            saveMissionPresets();
+            renderMissionOptions();
+        }
+        closeMenu();
+    };
+    reader.onerror = () => {
+        showErrorDialog('Import Failed', ['The file could not be read']);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Shows a dialog listing problems found in saved data
+ * @param {string} title - Dialog title
+ * @param {string[]} errors - Problems to list
+ */
+function showErrorDialog(title, errors) {
+    document.getElementById('errorTitle').textContent = title;
+    document.getElementById('errorList').innerHTML = errors
+        .map(error => `<li>${escapeHtml(error)}</li>`)
+        .join('');
+    openModal('errorModal');
+}
+
+// ============================================
+// Action History
+// ============================================
+
+// Maximum number of undo steps kept in memory
+const HISTORY_LIMIT = 50;
+
+// Undo and redo steps kept in localStorage - each one is a full copy of the game, so only the latest survive a reload
+const SAVED_HISTORY_LIMIT = 10;
+
+// How long the undo toast stays on screen (ms)
+const TOAST_DURATION = 5000;
+
+// Undo/redo stacks - each entry holds the state snapshot to return to
+const actionHistory = {
+    past: [],
+    future: []
+};
+
+// Nesting depth of actions that should not be recorded separately
+let historySuspended = 0;
+let toastTimeoutId = null;
+
+/**
+ * Gets a readable name for a tracker
+ * @param {string} type - Tracker type or visibility key (a registry tracker, weapon module, dice, roster or blip counter)
+ * @returns {string} Tracker name
+ */
+function getTrackerLabel(type) {
+    const definition = getTrackerDefinition(type);
+    return definition ? definition.label : type;
+}
+
+/**
+ * Captures the undoable part of the state (everything except the running timer)
+ * @returns {Object} Deep copy of the state data
+ */
+function takeHistorySnapshot() {
+    const { timer, ...data } = getSaveData();
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Records an action in the history - call before the state is changed
+ * @param {string} label - Description of the action
+ * @param {boolean} destructive - Whether to offer an undo toast for the action
+ */
+function recordAction(label, destructive = false) {
+    if (historySuspended) return;
+    
+    actionHistory.past.push({
+        label: label,
+        timestamp: Date.now(),
+        snapshot: takeHistorySnapshot()
+    });
+    if (actionHistory.past.length > HISTORY_LIMIT) {
+        actionHistory.past.shift();
+    }
+    actionHistory.future = [];
+    
+    saveHistory();
+    updateHistoryDisplay();
+    
+    if (destructive) {
+        showToast(label, true);
+    }
+}
+
+/**
+ * Runs a function without recording the state changes it makes
+ * @param {Function} fn - Function to run
+ */
+function withoutHistory(fn) {
+    historySuspended++;
+    try {
+        fn();
+    } finally {
+        historySuspended--;
+    }
+}
+
+/**
+ * Undoes the most recent action
+ */
+function undoAction() {
+    const entry = actionHistory.past.pop();
+    if (!entry) return;
+    
+    actionHistory.future.push({
+        label: entry.label,
+        timestamp: entry.timestamp,
+        snapshot: takeHistorySnapshot()
+    });
+    restoreSnapshot(entry.snapshot);
+    logEvent('undo', { label: entry.label });
+}
+
+/**
+ * Redoes the most recently undone action
+ */
+function redoAction() {
+    const entry = actionHistory.future.pop();
+    if (!entry) return;
+    
+    actionHistory.past.push({
+        label: entry.label,
+        timestamp: entry.timestamp,
+        snapshot: takeHistorySnapshot()
+    });
+    restoreSnapshot(entry.snapshot);
+    logEvent('redo', { label: entry.label });
+}
+
+/**
+ * Applies a history snapshot to the current state
+ * @param {Object} snapshot - Snapshot from takeHistorySnapshot
+ */
+function restoreSnapshot(snapshot) {
+    applyState(JSON.parse(JSON.stringify(snapshot)));
+    
+    // The timer is not part of the snapshot, so stop it if we left the Marine action phase
+    if (!isTimedPhase()) {
+        pauseTimer();
+        stopAlarm();
+    }
+    
+    hideToast();
+    saveState();
+    saveHistory();
+    updateHistoryDisplay();
+}
+
+/**
+ * Updates the undo/redo buttons and the history list in the menu
+ */
+function updateHistoryDisplay() {
+    document.getElementById('undoBtn').disabled = actionHistory.past.length === 0;
+    document.getElementById('redoBtn').disabled = actionHistory.future.length === 0;
+    
+    const list = document.getElementById('historyList');
+    if (actionHistory.past.length === 0) {
+        list.innerHTML = '<li class="history-empty">No actions yet</li>';
+        return;
+    }
+    
+    // Most recent first
+    list.innerHTML = actionHistory.past.slice().reverse().map(entry => `
+        <li class="history-entry">
+            <span class="history-time">${formatTime(entry.timestamp)}</span>
+            <span class="history-label">${escapeHtml(entry.label)}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Shows a toast message, optionally offering to undo the last action
+ * @param {string} message - Message to display
+ * @param {boolean} undoable - Whether to show the Undo button
+ */
+function showToast(message, undoable = false) {
+    const toast = document.getElementById('toast');
+    document.getElementById('toastMessage').textContent = message;
+    document.getElementById('toastUndo').hidden = !undoable;
+    toast.classList.add('open');
+    
+    if (toastTimeoutId) {
+        clearTimeout(toastTimeoutId);
+    }
+    toastTimeoutId = setTimeout(hideToast, TOAST_DURATION);
+}
+
+/**
+ * Hides the toast
+ */
+function hideToast() {
+    if (toastTimeoutId) {
+        clearTimeout(toastTimeoutId);
+        toastTimeoutId = null;
+    }
+    document.getElementById('toast').classList.remove('open');
+}
+
+/**
+ * Saves the latest steps of the action history to localStorage
+ */
+function saveHistory() {
+    try {
+        localStorage.setItem(getSessionKey('spaceHulkTrackerHistory'), JSON.stringify({
+            past: actionHistory.past.slice(-SAVED_HISTORY_LIMIT),
+            future: actionHistory.future.slice(-SAVED_HISTORY_LIMIT)
+        }));
+    } catch (e) {
+        console.warn('Failed to save history:', e);
+    }
+}
+
+/**
+ * Loads the action history from localStorage
+ */
+function loadHistory() {
+    actionHistory.past = [];
+    actionHistory.future = [];
+    
+    try {
+        const saved = localStorage.getItem(getSessionKey('spaceHulkTrackerHistory'));
+        if (saved) {
+            const data = JSON.parse(saved);
+            actionHistory.past = Array.isArray(data.past) ? data.past.slice(-SAVED_HISTORY_LIMIT) : [];
+            actionHistory.future = Array.isArray(data.future) ? data.future.slice(-SAVED_HISTORY_LIMIT) : [];
+        }
+    } catch (e) {
+        console.warn('Failed to load history:', e);
+    }
+    updateHistoryDisplay();
+}
+
+// ============================================
+// Event Log & Match Report
+// ============================================
+
+// Oldest events are dropped beyond this many entries per game
+const EVENT_LOG_LIMIT = 2000;
+
+// Readable names for logged event types
+const EVENT_LABELS = {
+    adjust: 'Adjust',
+    reset: 'Reset',
+    timerStart: 'Timer started',
+    timerPause: 'Timer paused',
+    timerExpire: 'Time ran out',
+    timerReset: 'Timer reset',
+    weaponReload: 'Reloaded',
+    weaponMarker: 'Flames placed',
+    cannonExplode: 'Assault Cannon exploded',
+    roll: 'Roll',
+    phase: 'Phase',
+    newGame: 'New game',
+    undo: 'Undo',
+    redo: 'Redo',
+    clockSwitch: 'Clock handed to',
+    marineKilled: 'Marine killed',
+    marineRevived: 'Marine revived',
+    campaignResult: 'Campaign result'
+};
+
+// Events of the active game session, oldest first
+let eventLog = [];
+
+/**
+ * Appends an event to the game log
+ * @param {string} type - Event type (a key of EVENT_LABELS)
+ * @param {Object} details - Extra event fields such as tracker, delta and value
+ */
+function logEvent(type, details = {}) {
+    eventLog.push({
+        type: type,
+        timestamp: Date.now(),
+        turn: state.turn.number,
+        phase: state.turn.phase,
+        ...details
+    });
+    if (eventLog.length > EVENT_LOG_LIMIT) {
+        eventLog.splice(0, eventLog.length - EVENT_LOG_LIMIT);
+    }
+    saveEventLog();
+}
+
+/**
+ * Gets the events of the current game, i.e. everything since the last new game
+ * @returns {Object[]} Events, oldest first
+ */
+function getCurrentGameEvents() {
+    let start = 0;
+    eventLog.forEach((event, index) => {
+        if (event.type === 'newGame') {
+            start = index;
+        }
+    });
+    return eventLog.slice(start);
+}
+
+/**
+ * Builds the summary report for the current game from the event log
+ * @returns {Object} Match report
+ */
+function buildMatchReport() {
+    const events = getCurrentGameEvents();
+    const trackers = {};
+    const turnTimes = {};
+    const expiredTurns = new Set();
+    const commandUsed = {};
+    const psychicSpends = [];
+    let runningSince = null;
+    let runningTurn = null;
+    
+    events.forEach(event => {
+        switch(event.type) {
+            case 'adjust':
+            case 'reset': {
+                if (!trackers[event.tracker]) {
+                    trackers[event.tracker] = { label: event.label, spent: 0, gained: 0, resets: 0, value: 0 };
+                }
+                const totals = trackers[event.tracker];
+                totals.label = event.label;
+                totals.value = event.value;
+                if (event.type === 'reset') {
+                    totals.resets++;
+                } else if (event.delta < 0) {
+                    totals.spent -= event.delta;
+                } else {
+                    totals.gained += event.delta;
+                }
+                
+                if (event.type === 'adjust' && event.delta < 0) {
+                    if (event.tracker === 'command') {
+                        commandUsed[event.turn] = (commandUsed[event.turn] || 0) - event.delta;
+                    } else if (event.tracker === 'psychic') {
+                        psychicSpends.push({ turn: event.turn, timestamp: event.timestamp, amount: -event.delta });
+                    }
+                }
+                break;
+            }
+            case 'timerStart':
+                runningSince = event.timestamp;
+                runningTurn = event.turn;
+                break;
+            case 'timerPause':
+            case 'timerExpire':
+                if (runningSince !== null) {
+                    turnTimes[runningTurn] = (turnTimes[runningTurn] || 0) + (event.timestamp - runningSince);
+                    runningSince = null;
+                }
+                if (event.type === 'timerExpire') {
+                    expiredTurns.add(event.turn);
+                }
+                break;
+        }
+    });
+    
+    // Include a turn that is still running
+    if (runningSince !== null) {
+        turnTimes[runningTurn] = (turnTimes[runningTurn] || 0) + (Date.now() - runningSince);
+    }
+    
+    const timedTurns = Object.keys(turnTimes).map(turn => ({
+        turn: Number(turn),
+        seconds: Math.round(turnTimes[turn] / 1000),
+        expired: expiredTurns.has(Number(turn)),
+        commandUsed: commandUsed[turn] || 0
+    }));
+    const totalSeconds = timedTurns.reduce((sum, t) => sum + t.seconds, 0);
+    
+    return {
+        generatedAt: Date.now(),
+        mission: state.mission ? state.mission.name : null,
+        turnsPlayed: state.turn.number,
+        trackers: Object.values(trackers),
+        timedTurns: timedTurns,
+        averageTurnSeconds: timedTurns.length ? Math.round(totalSeconds / timedTurns.length) : 0,
+        expiredTurns: expiredTurns.size,
+        psychicSpends: psychicSpends,
+        cannonShots: trackers.cannon ? trackers.cannon.spent : 0,
+        events: events
+    };
+}
+
+/**
+ * Formats a number of seconds as M:SS
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describes a logged event in one line
+ * @param {Object} event - Logged event
+ * @returns {string} Event description
+ */
+function describeEvent(event) {
+    switch(event.type) {
+        case 'adjust':
+            return `${event.label} ${event.delta > 0 ? '+' : '−'}${Math.abs(event.delta)} (now ${event.value})`;
+        case 'reset':
+            return `${event.label} reset to ${event.value}`;
+        case 'timerStart':
+        case 'timerPause':
+            return `${EVENT_LABELS[event.type]} at ${formatDuration(event.remaining)}`;
+        default:
+            return event.label ? `${EVENT_LABELS[event.type]}: ${event.label}` : EVENT_LABELS[event.type];
+    }
+}
+
+/**
+ * Renders the match report into the report dialog
+ */
+function showMatchReport() {
+    const report = buildMatchReport();
+    const trackerRows = report.trackers.map(t => `
+        <tr><td>${escapeHtml(t.label)}</td><td>${t.spent}</td><td>${t.gained}</td><td>${t.value}</td></tr>
+    `).join('');
+    const turnRows = report.timedTurns.map(t => `
+        <tr><td>${t.turn}</td><td>${formatDuration(t.seconds)}${t.expired ? ' ⚠' : ''}</td><td>${t.commandUsed}</td></tr>
+    `).join('');
+    const eventRows = report.events.map(event => `
+        <li><span class="history-time">${formatTime(event.timestamp)}</span> T${event.turn} ${escapeHtml(describeEvent(event))}</li>
+    `).join('');
+    
+    document.getElementById('reportBody').innerHTML = `
+        <div class="report-summary">
+            ${report.mission ? `<p><strong>Mission:</strong> ${escapeHtml(report.mission)}</p>` : ''}
+            <p><strong>Turns played:</strong> ${report.turnsPlayed}</p>
+            <p><strong>Average turn time:</strong> ${formatDuration(report.averageTurnSeconds)}</p>
+            <p><strong>Turns out of time:</strong> ${report.expiredTurns}</p>
+            <p><strong>Cannon shots fired:</strong> ${report.cannonShots}</p>
+        </div>
+        <h4 class="menu-section-title">TRACKERS</h4>
+        <table class="report-table">
+            <thead><tr><th>Tracker</th><th>Spent</th><th>Gained</th><th>Final</th></tr></thead>
+            <tbody>${trackerRows || '<tr><td colspan="4">No tracker changes</td></tr>'}</tbody>
+        </table>
+        <h4 class="menu-section-title">TIMED TURNS</h4>
+        <table class="report-table">
+            <thead><tr><th>Turn</th><th>Time</th><th>Command Used</th></tr></thead>
+            <tbody>${turnRows || '<tr><td colspan="3">No timed turns</td></tr>'}</tbody>
+        </table>
+        <h4 class="menu-section-title">EVENTS</h4>
+        <ul class="history-list report-events">${eventRows}</ul>
+    `;
+    openModal('reportModal');
+}
+
+/**
+ * Formats the match report as Markdown
+ * @param {Object} report - Report from buildMatchReport
+ * @returns {string} Markdown document
+ */
+function formatReportMarkdown(report) {
+    const lines = [
+        '# Space Hulk Match Report',
+        '',
+        `Generated ${formatDateTime(report.generatedAt)}`,
+        ''
+    ];
+    if (report.mission) {
+        lines.push(`- **Mission:** ${report.mission}`);
+    }
+    lines.push(
+        `- **Turns played:** ${report.turnsPlayed}`,
+        `- **Average turn time:** ${formatDuration(report.averageTurnSeconds)}`,
+        `- **Turns out of time:** ${report.expiredTurns}`,
+        `- **Cannon shots fired:** ${report.cannonShots}`,
+        '',
+        '## Trackers',
+        '',
+        '| Tracker | Spent | Gained | Final |',
+        '| --- | --- | --- | --- |',
+        ...report.trackers.map(t => `| ${t.label} | ${t.spent} | ${t.gained} | ${t.value} |`),
+        '',
+        '## Timed Turns',
+        '',
+        '| Turn | Time | Out of Time | Command Used |',
+        '| --- | --- | --- | --- |',
+        ...report.timedTurns.map(t => `| ${t.turn} | ${formatDuration(t.seconds)} | ${t.expired ? 'Yes' : 'No'} | ${t.commandUsed} |`),
+        '',
+        '## Psychic Points Spent',
+        '',
+        ...(report.psychicSpends.length
+            ? report.psychicSpends.map(p => `- Turn ${p.turn}, ${formatTime(p.timestamp)}: ${p.amount}`)
+            : ['- None']),
+        '',
+        '## Event Log',
+        '',
+        ...report.events.map(event => `- ${formatTime(event.timestamp)} (turn ${event.turn}) ${describeEvent(event)}`),
+        ''
+    );
+    return lines.join('\n');
+}
+
+/**
+ * Formats the match report event log as CSV
+ * @param {Object} report - Report from buildMatchReport
+ * @returns {string} CSV document
+ */
+function formatReportCsv(report) {
+    const csvCell = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['timestamp', 'turn', 'phase', 'event', 'tracker', 'delta', 'value']];
+    report.events.forEach(event => {
+        rows.push([
+            new Date(event.timestamp).toISOString(),
+            event.turn,
+            event.phase,
+            event.type,
+            event.label,
+            event.delta,
+            event.value ?? event.remaining
+        ]);
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Downloads the match report in the given format
+ * @param {string} format - Either 'md' or 'csv'
+ */
+function downloadMatchReport(format) {
+    const report = buildMatchReport();
+    const date = new Date(report.generatedAt).toISOString().slice(0, 10);
+    if (format === 'csv') {
+        downloadFile(`space-hulk-report-${date}.csv`, formatReportCsv(report), 'text/csv');
+    } else {
+        downloadFile(`space-hulk-report-${date}.md`, formatReportMarkdown(report), 'text/markdown');
+    }
+}
+
+/**
+ * Saves the event log of the active session to localStorage
+ */
+function saveEventLog() {
+    try {
+        localStorage.setItem(getSessionKey('spaceHulkTrackerLog'), JSON.stringify(eventLog));
+    } catch (e) {
+        console.warn('Failed to save event log:', e);
+    }
+}
+
+/**
+ * Loads the event log of the active session from localStorage
+ */
+function loadEventLog() {
+    eventLog = [];
+    try {
+        const saved = localStorage.getItem(getSessionKey('spaceHulkTrackerLog'));
+        if (saved) {
+            const data = JSON.parse(saved);
+            eventLog = Array.isArray(data) ? data : [];
+        }
+    } catch (e) {
+        console.warn('Failed to load event log:', e);
+    }
+}
+
+// ============================================
+// Input Bindings
+// ============================================
+
+// Actions that can be bound to a key or a gamepad button - repeat lets a held key keep adjusting
+const INPUT_ACTIONS = {
+    toggleTimer: { label: 'Start / Pause Timer', run: toggleTimer },
+    resetTimer: { label: 'Reset Timer', run: resetTimer },
+    nextPhase: { label: 'Next Phase', run: advancePhase },
+    increase: { label: 'Increase Selected Tracker', run: () => stepSelectedTracker(1), repeat: true },
+    decrease: { label: 'Decrease Selected Tracker', run: () => stepSelectedTracker(-1), repeat: true },
+    previousTracker: { label: 'Select Previous Tracker', run: () => cycleSelectedTracker(-1) },
+    nextTracker: { label: 'Select Next Tracker', run: () => cycleSelectedTracker(1) },
+    undo: { label: 'Undo', run: undoAction },
+    redo: { label: 'Redo', run: redoAction },
+    ...Object.fromEntries([1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => [
+        `selectTracker${n}`,
+        { label: `Select Tracker ${n}`, run: () => selectTrackerAt(n - 1) }
+    ]))
+};
+
+// Readable names for key codes that do not read well on their own
+const KEY_NAMES = {
+    Space: 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Enter: 'Enter',
+    Escape: 'Esc',
+    PageUp: 'Page Up',
+    PageDown: 'Page Down'
+};
+
+// Tracker the keyboard and gamepad adjust - not saved, it starts on the first tracker
+let selectedTracker = null;
+
+// Bindings being edited in the controls dialog, and the binding waiting for a key or button
+let editingBindings = null;
+let capturingBinding = null;
+
+// Buttons held on each gamepad at the last poll, so a press only counts once
+const gamepadButtonsDown = new Map();
+let gamepadFrameId = null;
+
+/**
+ * Starts or pauses the turn timer
+ */
+function toggleTimer() {
+    if (state.timer.isRunning) {
+        pauseTimer();
+    } else {
+        startTimer();
+    }
+}
+
+/**
+ * Lists the trackers the keyboard and gamepad can select, in board order
+ * @returns {string[]} Tracker types of the trackers shown on the board
+ */
+function getSelectableTrackers() {
+    const trackers = [];
+    
+    state.layout.order.forEach(key => {
+        const group = state.layout.groups.find(g => g.id === key);
+        if (group && group.collapsed) return;
+        
+        (group ? group.sections : [key]).filter(isSectionShown).forEach(section => {
+            trackers.push(...getTrackerDefinition(section).counters);
+        });
+    });
+    return trackers;
+}
+
+/**
+ * Gets the element showing a tracker's value
+ * @param {string} type - Tracker type
+ * @returns {HTMLElement|null} Points element
+ */
+function getPointsElement(type) {
+    const definition = getTrackerDefinition(type);
+    return definition && definition.points ? document.getElementById(definition.points) : null;
+}
+
+/**
+ * Selects a tracker for the keyboard and gamepad, and marks it on the board
+ * @param {string|null} type - Tracker type, or null to clear the selection
+ */
+function selectTracker(type) {
+    document.querySelectorAll('.selected-counter').forEach(el => el.classList.remove('selected-counter'));
+    selectedTracker = type;
+    if (!type) return;
+    
+    const element = getPointsElement(type);
+    if (element) {
+        element.parentElement.classList.add('selected-counter');
+        if (element.scrollIntoView) {
+            element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+    showToast(`Selected ${getTrackerLabel(type)}`);
+}
+
+/**
+ * Selects the tracker at a position on the board
+ * @param {number} index - Position among the selectable trackers, from 0
+ */
+function selectTrackerAt(index) {
+    const trackers = getSelectableTrackers();
+    if (index < trackers.length) {
+        selectTracker(trackers[index]);
+    }
+}
+
+/**
+ * Moves the selection to the next or previous tracker on the board, wrapping around
+ * @param {number} direction - -1 for the previous tracker or 1 for the next
+ */
+function cycleSelectedTracker(direction) {
+    const trackers = getSelectableTrackers();
+    if (trackers.length === 0) return;
+    
+    const index = trackers.indexOf(selectedTracker);
+    if (index === -1) {
+        selectTracker(trackers[direction > 0 ? 0 : trackers.length - 1]);
+    } else {
+        selectTracker(trackers[(index + direction + trackers.length) % trackers.length]);
+    }
+}
+
+/**
+ * Adjusts the selected tracker by its step size, selecting the first tracker if none is
+ * @param {number} direction - -1 to decrease or 1 to increase
+ */
+function stepSelectedTracker(direction) {
+    if (!getSelectableTrackers().includes(selectedTracker)) {
+        cycleSelectedTracker(1);
+    }
+    if (selectedTracker) {
+        stepPoints(selectedTracker, direction);
+    }
+}
+
+/**
+ * Runs a bound action
+ * @param {string} action - Action ID
+ */
+function runInputAction(action) {
+    // Shortcuts are for the board - they wait while a dialog or the menu is open
+    if (getTopDialog()) return;
+    
+    INPUT_ACTIONS[action].run();
+}
+
+/**
+ * Finds the action bound to a key or button
+ * @param {string} device - 'keyboard' or 'gamepad'
+ * @param {string|number} input - Key code or button index
+ * @returns {string|undefined} Action ID
+ */
+function findBoundAction(device, input) {
+    return Object.keys(INPUT_ACTIONS).find(action => state.bindings[device][action] === input);
+}
+
+/**
+ * Handles a key press anywhere on the page
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleKeyDown(event) {
+    if (capturingBinding && capturingBinding.device === 'keyboard') {
+        event.preventDefault();
+        if (event.code !== 'Escape') {
+            assignBinding(event.code);
+        } else {
+            stopBindingCapture();
+        }
+        return;
+    }
+    
+    // Leave typing and the browser's own shortcuts alone
+    const target = event.target;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (target.matches && target.matches('input, select, textarea, [contenteditable="true"]')) return;
+    
+    const action = findBoundAction('keyboard', event.code);
+    if (!action || (event.repeat && !INPUT_ACTIONS[action].repeat)) return;
+    
+    // Space and Enter press a control reached with the keyboard rather than run a shortcut
+    if ((event.code === 'Space' || event.code === 'Enter') && target.matches && target.matches(':focus-visible')) return;
+    
+    event.preventDefault();
+    // A focused button would also be clicked by Space or Enter when the key comes up
+    if (document.activeElement && document.activeElement !== document.body) {
+        document.activeElement.blur();
+    }
+    runInputAction(action);
+}
+
+/**
+ * Starts watching gamepads once one is connected
+ */
+function handleGamepadConnected() {
+    if (gamepadFrameId === null) {
+        gamepadFrameId = requestAnimationFrame(pollGamepads);
+    }
+}
+
+/**
+ * Forgets the buttons of a gamepad that was disconnected
+ * @param {GamepadEvent} event - Disconnect event
+ */
+function handleGamepadDisconnected(event) {
+    gamepadButtonsDown.delete(event.gamepad.index);
+}
+
+/**
+ * Checks every gamepad for newly pressed buttons - the Gamepad API has no button events,
+ * so this runs each frame while a gamepad is connected
+ */
+function pollGamepads() {
+    const gamepads = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+    
+    gamepads.forEach(gamepad => {
+        const wasDown = gamepadButtonsDown.get(gamepad.index) || [];
+        gamepad.buttons.forEach((button, index) => {
+            if (button.pressed && !wasDown[index]) {
+                handleGamepadButton(index);
+            }
+        });
+        gamepadButtonsDown.set(gamepad.index, gamepad.buttons.map(button => button.pressed));
+    });
+    
+    gamepadFrameId = gamepads.length > 0 ? requestAnimationFrame(pollGamepads) : null;
+}
+
+/**
+ * Handles a gamepad button press
+ * @param {number} index - Button index in the standard mapping
+ */
+function handleGamepadButton(index) {
+    if (capturingBinding && capturingBinding.device === 'gamepad') {
+        assignBinding(index);
+        return;
+    }
+    
+    const action = findBoundAction('gamepad', index);
+    if (action) {
+        runInputAction(action);
+    }
+}
+
+/**
+ * Gets a readable name for a key or button
+ * @param {string} device - 'keyboard' or 'gamepad'
+ * @param {string|number|null} input - Key code or button index
+ * @returns {string} Name to show
+ */
+function describeBinding(device, input) {
+    if (input === null || input === undefined) return '—';
+    if (device === 'gamepad') return `Button ${input}`;
+    
+    return KEY_NAMES[input] || input.replace(/^Key|^Digit|^Numpad/, '');
+}
+
+/**
+ * Opens the controls dialog with a working copy of the bindings
+ */
+function openBindings() {
+    editingBindings = JSON.parse(JSON.stringify(state.bindings));
+    capturingBinding = null;
+    document.getElementById('bindingsError').textContent = '';
+    renderBindingRows();
+    closeMenu();
+    openModal('bindingsModal');
+}
+
+/**
+ * Closes the controls dialog without saving
+ */
+function closeBindings() {
+    editingBindings = null;
+    capturingBinding = null;
+    closeModal('bindingsModal');
+}
+
+/**
+ * Renders a row per action with its key and gamepad button
+ */
+function renderBindingRows() {
+    const cell = (action, device) => {
+        const capturing = capturingBinding && capturingBinding.action === action && capturingBinding.device === device;
+        const label = capturing
+            ? (device === 'keyboard' ? 'Press a key…' : 'Press a button…')
+            : describeBinding(device, editingBindings[device][action]);
+        return `
+            <button class="btn btn-small binding-input${capturing ? ' capturing' : ''}" onclick="startBindingCapture('${action}', '${device}')"
+                aria-label="${escapeHtml(INPUT_ACTIONS[action].label)} ${device === 'keyboard' ? 'key' : 'gamepad button'}">${escapeHtml(label)}</button>
+        `;
+    };
+    
+    document.getElementById('bindingList').innerHTML = Object.keys(INPUT_ACTIONS).map(action => `
+        <li class="binding-row">
+            <span class="binding-label">${escapeHtml(INPUT_ACTIONS[action].label)}</span>
+            ${cell(action, 'keyboard')}
+            ${cell(action, 'gamepad')}
+            <button class="btn-icon" onclick="clearBinding('${action}')" aria-label="Clear ${escapeHtml(INPUT_ACTIONS[action].label)}">
+                <span class="material-symbols-outlined">backspace</span>
+            </button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Waits for the next key or gamepad button to bind to an action
+ * @param {string} action - Action ID
+ * @param {string} device - 'keyboard' or 'gamepad'
+ */
+function startBindingCapture(action, device) {
+    capturingBinding = { action, device };
+    renderBindingRows();
+    
+    // The browser only reports a gamepad once it has been used on the page, so start watching now
+    if (device === 'gamepad') {
+        handleGamepadConnected();
+    }
+}
+
+/**
+ * Stops waiting for a key or button
+ */
+function stopBindingCapture() {
+    capturingBinding = null;
+    renderBindingRows();
+}
+
+/**
+ * Binds the captured key or button to the action, taking it from any action that had it
+ * @param {string|number} input - Key code or button index
+ */
+function assignBinding(input) {
+    const { action, device } = capturingBinding;
+    const bindings = editingBindings[device];
+    
+    Object.keys(bindings).forEach(other => {
+        if (bindings[other] === input) {
+            bindings[other] = null;
+        }
+    });
+    bindings[action] = input;
+    stopBindingCapture();
+}
+
+/**
+ * Removes the key and gamepad button of an action
+ * @param {string} action - Action ID
+ */
+function clearBinding(action) {
+    editingBindings.keyboard[action] = null;
+    editingBindings.gamepad[action] = null;
+    capturingBinding = null;
+    renderBindingRows();
+}
+
+/**
+ * Puts the default bindings back in the dialog
+ */
+function resetBindings() {
+    editingBindings = createDefaultBindings();
+    capturingBinding = null;
+    renderBindingRows();
+}
+
+/**
+ * Saves the controls dialog
+ */
+function saveBindings() {
+    const errors = validateBindings(editingBindings);
+    if (errors.length > 0) {
+        document.getElementById('bindingsError').textContent = errors.join('. ');
+        return;
+    }
+    
+    recordAction('Edit Controls');
+    state.bindings = editingBindings;
+    closeBindings();
+    saveState();
+}
+
+// ============================================
+// Multi-Device Sync
+// ============================================
+
+// Device preference - whether this device syncs, the part it plays and where the relay is
+const SYNC_SETTINGS_KEY = 'spaceHulkTrackerSync';
+
+// Tabs of the app on the same device talk over this channel, with or without a relay
+const SYNC_CHANNEL_NAME = 'space-hulk-tracker-sync';
+
+// Path of the relay's WebSocket - see relay/server.js
+const SYNC_RELAY_PATH = '/sync';
+
+// Wait before each attempt to reach the relay again, the last one repeating (ms)
+const SYNC_RETRY_DELAYS = [1000, 2000, 5000, 10000];
+
+// State fields synced whole - trackers, weapons and weapon settings are an entry each,
+// so edits to two different trackers never overwrite each other. Sound settings stay per device.
+const SYNCED_FIELDS = ['turn', 'blipPool', 'blipsEntered', 'roster', 'nextMarineId', 'nextTrackerId', 'layout', 'mission', 'visibility', 'rosterHidden'];
+
+// Entries kept per tracker, weapon or weapon setting, by key prefix
+const SYNCED_COLLECTIONS = ['tracker', 'weapon', 'settings'];
+
+const sync = {
+    // Identifies this tab in messages and breaks ties between edits made at the same moment
+    clientId: Math.random().toString(36).slice(2, 10),
+    settings: { enabled: false, role: 'player', relayUrl: '' },
+    socket: null,
+    channel: null,
+    status: 'off',
+    devices: 0,
+    hostOnline: false,
+    retryCount: 0,
+    retryTimeoutId: null,
+    // Last-writer-wins bookkeeping - the newest time seen, and the time and device of each entry's last edit
+    clock: 0,
+    versions: {},
+    // Each entry as last sent or received, to spot local edits
+    synced: {},
+    applying: false
+};
+
+/**
+ * Gets the relay address of the server the app was opened from
+ * @returns {string} WebSocket URL, or an empty string when the app was opened as a file
+ */
+function getDefaultRelayUrl() {
+    if (location.protocol !== 'http:' && location.protocol !== 'https:') return '';
+    
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${location.host}${SYNC_RELAY_PATH}`;
+}
+
+/**
+ * Loads this device's sync settings from localStorage
+ */
+function loadSyncSettings() {
+    sync.settings.relayUrl = getDefaultRelayUrl();
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY));
+        if (saved) {
+            sync.settings.enabled = saved.enabled === true;
+            sync.settings.role = saved.role === 'host' ? 'host' : 'player';
+            sync.settings.relayUrl = typeof saved.relayUrl === 'string' ? saved.relayUrl : sync.settings.relayUrl;
+        }
+    } catch (e) {
+        console.warn('Failed to load sync settings:', e);
+    }
+    
+    document.getElementById('syncRole').value = sync.settings.role;
+    document.getElementById('syncRelayUrl').value = sync.settings.relayUrl;
+}
+
+/**
+ * Saves this device's sync settings to localStorage
+ */
+function saveSyncSettings() {
+    try {
+        localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(sync.settings));
+    } catch (e) {
+        console.warn('Failed to save sync settings:', e);
+    }
+}
+
+/**
+ * Starts syncing with the other devices, using the role and relay address from the menu
+ */
+function startSync() {
+    stopSync();
+    
+    sync.settings.enabled = true;
+    sync.settings.role = document.getElementById('syncRole').value === 'host' ? 'host' : 'player';
+    sync.settings.relayUrl = document.getElementById('syncRelayUrl').value.trim();
+    saveSyncSettings();
+    
+    // Only edits made from now on are sent - the game itself comes from the host
+    sync.synced = serializeSyncEntries(getSyncEntries());
+    
+    if ('BroadcastChannel' in window) {
+        sync.channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        sync.channel.onmessage = (e) => handleSyncMessage(e.data);
+        announceSync();
+    }
+    connectRelay();
+}
+
+/**
+ * Stops syncing and closes every connection
+ * @param {boolean} disable - Whether to turn sync off for this device as well
+ */
+function stopSync(disable = false) {
+    if (sync.retryTimeoutId) {
+        clearTimeout(sync.retryTimeoutId);
+        sync.retryTimeoutId = null;
+    }
+    if (sync.socket) {
+        const socket = sync.socket;
+        sync.socket = null;
+        socket.close();
+    }
+    if (sync.channel) {
+        sync.channel.close();
+        sync.channel = null;
+    }
+    sync.retryCount = 0;
+    sync.devices = 0;
+    sync.hostOnline = false;
+    
+    if (disable) {
+        sync.settings.enabled = false;
+        saveSyncSettings();
+    }
+    updateSyncStatus();
+}
+
+/**
+ * Connects to the relay, falling back to the tabs on this device while it cannot be reached
+ */
+function connectRelay() {
+    sync.retryTimeoutId = null;
+    if (!sync.settings.relayUrl) {
+        updateSyncStatus();
+        return;
+    }
+    
+    let socket;
+    try {
+        socket = new WebSocket(sync.settings.relayUrl);
+    } catch (e) {
+        console.warn('Failed to connect to sync relay:', e);
+        updateSyncStatus();
+        return;
+    }
+    sync.socket = socket;
+    updateSyncStatus();
+    
+    socket.onopen = () => {
+        sync.retryCount = 0;
+        socket.send(JSON.stringify({ type: 'join', role: sync.settings.role, client: sync.clientId }));
+        updateSyncStatus();
+        announceSync();
+    };
+    socket.onmessage = (e) => {
+        try {
+            handleSyncMessage(JSON.parse(e.data));
+        } catch (err) {
+            console.warn('Failed to read sync message:', err);
+        }
+    };
+    socket.onerror = () => console.warn('Sync relay connection failed:', sync.settings.relayUrl);
+    socket.onclose = () => {
+        // Closed on purpose by stopSync
+        if (sync.socket !== socket) return;
+        
+        sync.socket = null;
+        sync.devices = 0;
+        sync.hostOnline = false;
+        const delay = SYNC_RETRY_DELAYS[Math.min(sync.retryCount, SYNC_RETRY_DELAYS.length - 1)];
+        sync.retryCount++;
+        sync.retryTimeoutId = setTimeout(connectRelay, delay);
+        updateSyncStatus();
+    };
+}
+
+/**
+ * Checks whether the relay connection is open
+ * @returns {boolean} True while connected to the relay
+ */
+function isRelayConnected() {
+    return sync.socket !== null && sync.socket.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Sends a message to the other devices through the relay and to the other tabs on this device.
+ * A device that gets it both ways ignores the second copy, as it is no newer than the first.
+ * @param {Object} message - Sync message
+ */
+function sendSyncMessage(message) {
+    const payload = { ...message, from: sync.clientId };
+    
+    if (isRelayConnected()) {
+        sync.socket.send(JSON.stringify(payload));
+    }
+    if (sync.channel) {
+        sync.channel.postMessage(payload);
+    }
+}
+
+/**
+ * Lets the others know this device has joined - the host sends out its game, players ask for it
+ */
+function announceSync() {
+    if (sync.settings.role === 'host') {
+        sendSyncMessage(createSyncSnapshot(null));
+    } else {
+        sendSyncMessage({ type: 'hello' });
+    }
+}
+
+/**
+ * Handles a message from another device or tab
+ * @param {Object} message - Sync message
+ */
+function handleSyncMessage(message) {
+    if (!message || message.from === sync.clientId) return;
+    
+    switch (message.type) {
+        case 'peers':
+            sync.devices = message.devices;
+            sync.hostOnline = message.host;
+            updateSyncStatus();
+            break;
+        case 'hello':
+            if (sync.settings.role === 'host') {
+                sendSyncMessage(createSyncSnapshot(message.from));
+            }
+            break;
+        case 'snapshot':
+            // The host is the source of truth - players take its game as a whole
+            if (sync.settings.role !== 'host' && (!message.to || message.to === sync.clientId)) {
+                applySyncSnapshot(message);
+            }
+            break;
+        case 'ops':
+            if (Array.isArray(message.ops)) {
+                applySyncOps(message.ops);
+            }
+            break;
+    }
+}
+
+/**
+ * Splits the state into the entries that are synced, keyed by tracker, weapon or field
+ * @returns {Object} Sync entries by key
+ */
+function getSyncEntries() {
+    const data = getSaveData();
+    const entries = {};
+    
+    // A running timer is described by its deadline - the countdown itself is not sent every second
+    const { minutes, seconds, ...runningTimer } = data.timer;
+    entries.timer = data.timer.isRunning ? runningTimer : { ...data.timer };
+    
+    // The table-top layout only suits the device on the table, and player profiles only exist on the device that made them
+    const { tableTop, profiles, ...players } = data.players;
+    entries.players = players;
+    
+    data.trackers.forEach(registered => {
+        entries[`tracker:${registered.id}`] = registered;
+    });
+    Object.keys(data.weapons).forEach(id => {
+        entries[`weapon:${id}`] = data.weapons[id];
+    });
+    Object.keys(data.trackerSettings).forEach(id => {
+        entries[`settings:${id}`] = data.trackerSettings[id];
+    });
+    SYNCED_FIELDS.forEach(field => {
+        entries[field] = data[field];
+    });
+    return entries;
+}
+
+/**
+ * Turns sync entries into JSON so they can be compared
+ * @param {Object} entries - Sync entries by key
+ * @returns {Object} JSON of each entry by key
+ */
+function serializeSyncEntries(entries) {
+    return Object.fromEntries(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+}
+
+/**
+ * Checks whether a key names something that is synced
+ * @param {string} key - Sync entry key
+ * @returns {boolean} True for known keys
+ */
+function isSyncKey(key) {
+    if (typeof key !== 'string') return false;
+    if (key === 'timer' || key === 'players' || SYNCED_FIELDS.includes(key)) return true;
+    
+    const separator = key.indexOf(':');
+    return separator > 0 && SYNCED_COLLECTIONS.includes(key.slice(0, separator));
+}
+
+/**
+ * Writes one sync entry into state data
+ * @param {Object} data - State data as produced by getSaveData
+ * @param {string} key - Sync entry key
+ * @param {*} value - New value, or null for a tracker that was deleted
+ */
+function setSyncEntry(data, key, value) {
+    const separator = key.indexOf(':');
+    const kind = separator > 0 ? key.slice(0, separator) : key;
+    const id = key.slice(separator + 1);
+    
+    switch (kind) {
+        case 'tracker': {
+            const index = data.trackers.findIndex(t => t.id === id);
+            if (value === null) {
+                if (index !== -1) data.trackers.splice(index, 1);
+            } else if (index !== -1) {
+                data.trackers[index] = value;
+            } else {
+                data.trackers.push(value);
+            }
+            break;
+        }
+        case 'weapon':
+            data.weapons[id] = value;
+            break;
+        case 'settings':
+            data.trackerSettings[id] = value;
+            break;
+        case 'timer':
+        case 'players':
+            data[kind] = { ...data[kind], ...value };
+            break;
+        default:
+            data[kind] = value;
+    }
+}
+
+/**
+ * Gets the time for a local edit - the clock never goes back, even if another device's clock is ahead
+ * @returns {number} Edit time in epoch milliseconds
+ */
+function nextSyncTime() {
+    sync.clock = Math.max(Date.now(), sync.clock + 1);
+    return sync.clock;
+}
+
+/**
+ * Checks whether an edit is newer than the last one applied to its entry - ties go to the higher device id
+ * @param {Object} op - Sync operation
+ * @returns {boolean} True if the edit should win
+ */
+function isNewerSyncOp(op) {
+    const version = sync.versions[op.key];
+    if (!version) return true;
+    return op.time > version.time || (op.time === version.time && op.client > version.client);
+}
+
+/**
+ * Sends every entry that changed since it was last synced - called whenever the state is saved
+ */
+function syncLocalChanges() {
+    if (!sync.settings.enabled || sync.applying) return;
+    
+    const current = serializeSyncEntries(getSyncEntries());
+    const keys = new Set([...Object.keys(current), ...Object.keys(sync.synced)]);
+    const ops = [];
+    
+    keys.forEach(key => {
+        if (current[key] === sync.synced[key]) return;
+        
+        const op = {
+            key: key,
+            value: key in current ? JSON.parse(current[key]) : null,
+            time: nextSyncTime(),
+            client: sync.clientId
+        };
+        sync.versions[key] = { time: op.time, client: op.client };
+        ops.push(op);
+    });
+    if (ops.length === 0) return;
+    
+    sync.synced = current;
+    sendSyncMessage({ type: 'ops', ops: ops });
+}
+
+/**
+ * Applies edits from another device, keeping only those newer than what this device has
+ * @param {Object[]} ops - Sync operations
+ */
+function applySyncOps(ops) {
+    const accepted = ops.filter(op => op && isSyncKey(op.key) && Number.isFinite(op.time) &&
+        typeof op.client === 'string' && (op.value !== null || op.key.startsWith('tracker:')));
+    
+    accepted.forEach(op => {
+        sync.clock = Math.max(sync.clock, op.time);
+    });
+    const newer = accepted.filter(isNewerSyncOp);
+    
+    if (applySyncChanges(Object.fromEntries(newer.map(op => [op.key, op.value])))) {
+        newer.forEach(op => {
+            sync.versions[op.key] = { time: op.time, client: op.client };
+        });
+    } else {
+        resyncAfterRejectedOps();
+    }
+}
+
+/**
+ * Brings the devices back in step after edits this device could not take -
+ * the host sends its game to everyone, as any of them may have taken the edits, and a player asks the host for it
+ */
+function resyncAfterRejectedOps() {
+    if (sync.settings.role === 'host') {
+        sendSyncMessage(createSyncSnapshot(null));
+    } else {
+        sendSyncMessage({ type: 'hello' });
+    }
+}
+
+/**
+ * Replaces this device's game with the one sent by the host
+ * @param {Object} message - Snapshot message
+ */
+function applySyncSnapshot(message) {
+    if (!message.entries || typeof message.entries !== 'object') return;
+    
+    // Trackers the host does not have are deleted
+    const changes = {};
+    Object.keys(getSyncEntries()).filter(key => key.startsWith('tracker:')).forEach(key => {
+        changes[key] = null;
+    });
+    Object.entries(message.entries).forEach(([key, value]) => {
+        if (isSyncKey(key)) changes[key] = value;
+    });
+    
+    if (applySyncChanges(changes)) {
+        sync.versions = { ...message.versions };
+        Object.values(sync.versions).forEach(version => {
+            sync.clock = Math.max(sync.clock, version.time || 0);
+        });
+    }
+}
+
+/**
+ * Builds a message carrying the whole game, for devices that have just joined
+ * @param {string|null} to - Device the snapshot is for, or null for every device
+ * @returns {Object} Snapshot message
+ */
+function createSyncSnapshot(to) {
+    return {
+        type: 'snapshot',
+        to: to,
+        entries: getSyncEntries(),
+        versions: sync.versions
     };
+}
+
+/**
+ * Writes synced entries into the state and re-renders the board
+ * @param {Object} changes - New value of each changed entry by key
+ * @returns {boolean} False if the changes would leave an invalid game and were ignored
+ */
+function applySyncChanges(changes) {
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return true;
+    
+    const data = JSON.parse(JSON.stringify(getSaveData()));
+    keys.forEach(key => setSyncEntry(data, key, changes[key]));
+    
+    const errors = validateSaveData(data);
+    if (errors.length > 0) {
+        console.warn('Ignored invalid sync changes:', errors);
+        return false;
+    }
+    
+    sync.applying = true;
+    try {
+        // A timer paused or reset on another device stops here too
+        if (state.timer.isRunning && !data.timer.isRunning) {
+            clearInterval(state.timer.intervalId);
+            state.timer.intervalId = null;
+            state.timer.isRunning = false;
+            state.timer.endsAt = null;
+            if (data.timer.minutes > 0 || data.timer.seconds > 0) {
+                stopAlarm();
+            }
+        }
+        applyState(data);
+    } finally {
+        sync.applying = false;
+    }
+    
+    // What was just received does not need sending back
+    const current = serializeSyncEntries(getSyncEntries());
+    keys.forEach(key => {
+        if (key in current) {
+            sync.synced[key] = current[key];
+        } else {
+            delete sync.synced[key];
+        }
+    });
+    saveState();
+    return true;
+}
+
+/**
+ * Shows how this device is connected in the header and the menu
+ */
+function updateSyncStatus() {
+    let status = 'off';
+    let label = 'Not syncing';
+    
+    if (sync.settings.enabled) {
+        if (isRelayConnected()) {
+            status = 'live';
+            label = `Connected to relay - ${sync.devices} ${sync.devices === 1 ? 'device' : 'devices'}`;
+            if (!sync.hostOnline) {
+                label += ', host offline';
+            }
+        } else if (sync.socket) {
+            status = 'connecting';
+            label = 'Connecting to relay…';
+        } else {
+            status = 'local';
+            label = sync.settings.relayUrl ? 'Relay unreachable - syncing tabs on this device' : 'Syncing tabs on this device';
+        }
+    }
+    sync.status = status;
+    
+    const indicator = document.getElementById('syncStatus');
+    indicator.className = `sync-status sync-${status}`;
+    indicator.hidden = status === 'off';
+    indicator.title = label;
+    document.getElementById('syncStatusLabel').textContent = { off: '', live: 'LIVE', connecting: 'CONNECTING', local: 'LOCAL' }[status];
+    document.getElementById('syncDetail').textContent = label;
+    document.getElementById('syncToggle').textContent = sync.settings.enabled ? 'Disconnect' : 'Connect';
+    document.getElementById('syncRole').disabled = sync.settings.enabled;
+    document.getElementById('syncRelayUrl').disabled = sync.settings.enabled;
+}
+
+/**
+ * Connects or disconnects from the menu
+ */
+function toggleSync() {
+    if (sync.settings.enabled) {
+        stopSync(true);
+    } else {
+        startSync();
+    }
+}
+
+// ============================================
+// Offline & Install
+// ============================================
+
+// Device preference - not part of a game, so it stays the same across saved games
+const KEEP_AWAKE_KEY = 'spaceHulkTrackerKeepAwake';
+
+// Screen wake lock held while a game is in progress, null while the screen may sleep
+let wakeLock = null;
+let wakeLockPending = false;
+
+// New version of the app waiting to take over, and whether the player asked it to
+let waitingWorker = null;
+let updateAccepted = false;
+
+// Install prompt offered by the browser, kept until the player asks to install
+let installPrompt = null;
+
+/**
+ * Registers the service worker that caches the app for offline play and watches for new versions
+ */
+function registerServiceWorker() {
+    // Service workers only run when the app is served, not opened as a file
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateNotice(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // The very first install has nothing to replace
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateNotice(worker);
+                    }
+                });
+            });
+        })
+        .catch(e => console.warn('Failed to register service worker:', e));
     
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) {
+            location.reload();
+        }
+    });
+}
+
+/**
+ * Tells the player a new version is ready
+ * @param {ServiceWorker} worker - Installed worker waiting to take over
+ */
+function showUpdateNotice(worker) {
+    waitingWorker = worker;
+    document.getElementById('updateNotice').classList.add('open');
+}
+
+/**
+ * Switches to the new version - the page reloads once it has taken over
+ */
+function applyUpdate() {
+    if (!waitingWorker) return;
+    
+    saveState();
+    updateAccepted = true;
+    document.getElementById('updateNotice').classList.remove('open');
+    waitingWorker.postMessage({ type: 'skipWaiting' });
+}
+
+/**
+ * Keeps the browser's install prompt for the install button in the menu
+ * @param {Event} event - beforeinstallprompt event
+ */
+function handleInstallPrompt(event) {
+    event.preventDefault();
+    installPrompt = event;
+    document.getElementById('installApp').classList.remove('hidden');
+}
+
+/**
+ * Shows the browser's install prompt
+ */
+function installApp() {
+    if (!installPrompt) return;
+    
+    installPrompt.prompt();
+    installPrompt.userChoice
+        .then(() => {
+            installPrompt = null;
+            document.getElementById('installApp').classList.add('hidden');
+        })
+        .catch(e => console.warn('Failed to install app:', e));
+}
+
+/**
+ * Checks whether a game has got under way - the first phase of turn 1 is still setting up
+ * @returns {boolean} True once play has started
+ */
+function isGameInProgress() {
+    return state.turn.number > 1 || state.turn.phase !== TURN_PHASES[0].id;
+}
+
+/**
+ * Checks whether the player wants the screen kept awake during a game
+ * @returns {boolean} True unless turned off in the menu
+ */
+function isKeepAwakeEnabled() {
     try {
-        localStorage.setItem('spaceHulkTracker', JSON.stringify(saveData));
+        return localStorage.getItem(KEEP_AWAKE_KEY) !== 'false';
     } catch (e) {
-        console.warn('Failed to save state:', e);
+        return true;
     }
 }
 
 /**
- * Loads state from localStorage
+ * Turns keeping the screen awake on or off for this device
+ * @param {boolean} enabled - True to keep the screen awake during a game
  */
-function loadState() {
+function setKeepAwake(enabled) {
     try {
-        const saved = localStorage.getItem('spaceHulkTracker');
-        if (saved) {
-            const data = JSON.parse(saved);
-            
-            // Restore timer
-            if (data.timer) {
-                state.timer.minutes = data.timer.minutes ?? 3;
-                state.timer.seconds = data.timer.seconds ?? 0;
-                state.timer.defaultMinutes = data.timer.defaultMinutes ?? 3;
-                document.getElementById('timerMinutes').value = state.timer.defaultMinutes;
-            }
-            
-            // Restore points
-            state.psychicPoints = data.psychicPoints ?? 20;
-            state.cannonPoints = data.cannonPoints ?? 10;
-            state.commandPoints = data.commandPoints ?? 0;
-            
-            // Restore custom trackers
-            if (data.customTrackers) {
-                state.customTrackers = data.customTrackers;
-                state.nextTrackerId = data.nextTrackerId || 1;
-                state.customTrackers.forEach(tracker => {
-                    renderCustomTracker(tracker);
-                    addCustomTrackerMenuItem(tracker);
+        localStorage.setItem(KEEP_AWAKE_KEY, String(enabled));
+    } catch (e) {
+        console.warn('Failed to save keep awake setting:', e);
+    }
+    updateWakeLock();
+}
+
+/**
+ * Holds a screen wake lock while a game is in progress and lets it go otherwise.
+ * Browsers drop the lock whenever the page is hidden, so this runs again when it comes back.
+ */
+function updateWakeLock() {
+    if (!('wakeLock' in navigator)) return;
+    
+    const wanted = isKeepAwakeEnabled() && isGameInProgress() && !document.hidden;
+    if (wanted && !wakeLock && !wakeLockPending) {
+        wakeLockPending = true;
+        navigator.wakeLock.request('screen')
+            .then(sentinel => {
+                wakeLock = sentinel;
+                sentinel.addEventListener('release', () => {
+                    if (wakeLock === sentinel) {
+                        wakeLock = null;
+                    }
                 });
-            }
-            
-            // Restore visibility settings
-            if (data.visibility) {
-                state.visibility = { ...state.visibility, ...data.visibility };
-            }
-            // Handle legacy showLibrarian setting
-            if (data.showLibrarian !== undefined && data.visibility === undefined) {
-                state.visibility.librarian = data.showLibrarian;
-            }
-            // Clean up obsolete visibility keys from previous version where timer and generic custom were hideable
-            delete state.visibility.timer;
-            delete state.visibility.custom;
-            
-            // Apply visibility to all trackers
-            Object.keys(state.visibility).forEach(tracker => {
-                updateTrackerVisibility(tracker);
-                updateMenuCheckbox(tracker);
+            })
+            .catch(e => console.warn('Failed to keep the screen awake:', e))
+            .finally(() => {
+                wakeLockPending = false;
+                // The game may have ended while the request was pending
+                if (wakeLock && !isGameInProgress()) {
+                    updateWakeLock();
+                }
             });
-            
-            // Update displays
-            updateTimerDisplay();
-            document.getElementById('psychicPoints').textContent = state.psychicPoints;
-            document.getElementById('cannonPoints').textContent = state.cannonPoints;
-            document.getElementById('commandPoints').textContent = state.commandPoints;
-            
-            // Update styles
-            updatePointsStyle(document.getElementById('psychicPoints'), state.psychicPoints);
-            updatePointsStyle(document.getElementById('cannonPoints'), state.cannonPoints);
-            updatePointsStyle(document.getElementById('commandPoints'), state.commandPoints);
+    } else if (!wanted && wakeLock) {
+        const sentinel = wakeLock;
+        wakeLock = null;
+        sentinel.release().catch(e => console.warn('Failed to release wake lock:', e));
+    }
+}
+
+// ============================================
+// Skins
+// ============================================
+
+// CSS custom property each palette colour sets
+const SKIN_PROPERTIES = {
+    primary: '--gold',
+    primaryDark: '--gold-dark',
+    secondary: '--red',
+    secondaryBright: '--red-bright'
+};
+
+// Labels of the palette colours in the custom skin editor
+const SKIN_COLOUR_NAMES = {
+    primary: 'Accent',
+    primaryDark: 'Accent Shade',
+    secondary: 'Trim',
+    secondaryBright: 'Trim Highlight'
+};
+
+// Custom skin being edited in the skin dialog
+let editingSkin = null;
+
+/**
+ * Applies the current skin and light or dark mode to the page
+ */
+function applyAppearance() {
+    const skin = getSkin(state.appearance);
+    const properties = Object.entries(SKIN_PROPERTIES)
+        .map(([colour, property]) => `${property}: ${skin.palette[colour]};`);
+    properties.push(`--glow-gold: 0 0 10px color-mix(in srgb, ${skin.palette.primary} 50%, transparent);`);
+    properties.push(`--glow-red: 0 0 10px color-mix(in srgb, ${skin.palette.secondaryBright} 50%, transparent);`);
+    properties.push(`--heading-font: "${skin.font}", ${skin.font === 'Cinzel' ? 'serif' : 'sans-serif'};`);
+    
+    // A stylesheet rather than inline properties, so the accessible themes still take precedence
+    let style = document.getElementById('skinStyle');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'skinStyle';
+        document.head.appendChild(style);
+    }
+    style.textContent = `:root { ${properties.join(' ')} }`;
+    
+    document.documentElement.dataset.mode = getAppearanceMode();
+    document.querySelectorAll('.skull-icon, .skull-small').forEach(el => {
+        el.textContent = skin.icon;
+    });
+    
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        themeColor.content = getComputedStyle(document.documentElement).getPropertyValue('--primary-bg').trim() || themeColor.content;
+    }
+    
+    document.getElementById('menuSkin').value = state.appearance.skin;
+    document.getElementById('menuMode').value = state.appearance.mode;
+}
+
+/**
+ * Works out whether the page is light or dark, following the device when the mode is system
+ * @returns {string} 'light' or 'dark'
+ */
+function getAppearanceMode() {
+    if (state.appearance.mode !== 'system') {
+        return state.appearance.mode;
+    }
+    const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+    return prefersLight ? 'light' : 'dark';
+}
+
+/**
+ * Fills the skin select with the edition and chapter skins and the custom skin
+ */
+function renderSkinOptions() {
+    const groups = Object.entries(SKIN_GROUPS).map(([group, label]) => {
+        const options = Object.entries(SKINS)
+            .filter(([, skin]) => skin.group === group)
+            .map(([id, skin]) => `<option value="${id}">${escapeHtml(skin.name)}</option>`)
+            .join('');
+        return `<optgroup label="${label}">${options}</optgroup>`;
+    });
+    groups.push(`<option value="${CUSTOM_SKIN}">Custom</option>`);
+    document.getElementById('menuSkin').innerHTML = groups.join('');
+}
+
+/**
+ * Switches to another skin
+ * @param {string} id - Key of SKINS, or CUSTOM_SKIN
+ */
+function setSkin(id) {
+    if (id !== CUSTOM_SKIN && !SKINS[id]) return;
+    
+    recordAction('Change skin');
+    state.appearance.skin = id;
+    applyAppearance();
+    saveState();
+}
+
+/**
+ * Switches between light, dark and device mode
+ * @param {string} mode - Key of APPEARANCE_MODES
+ */
+function setAppearanceMode(mode) {
+    if (!APPEARANCE_MODES[mode]) return;
+    
+    recordAction('Change light or dark mode');
+    state.appearance.mode = mode;
+    applyAppearance();
+    saveState();
+}
+
+/**
+ * Opens the custom skin dialog, starting from the skin in use
+ */
+function openSkinEditor() {
+    const current = getSkin(state.appearance);
+    editingSkin = JSON.parse(JSON.stringify({ icon: current.icon, font: current.font, palette: current.palette }));
+    
+    document.getElementById('skinColours').innerHTML = Object.entries(SKIN_COLOUR_NAMES).map(([colour, name]) => `
+        <label>${name} <input type="color" id="skinColour-${colour}" value="${editingSkin.palette[colour]}"></label>
+    `).join('');
+    document.getElementById('skinIcon').innerHTML = SKIN_ICONS
+        .map(icon => `<option value="${icon}">${icon}</option>`)
+        .join('');
+    document.getElementById('skinIcon').value = editingSkin.icon;
+    document.getElementById('skinFont').innerHTML = SKIN_FONTS
+        .map(font => `<option value="${font}">${font}</option>`)
+        .join('');
+    document.getElementById('skinFont').value = editingSkin.font;
+    document.getElementById('skinError').textContent = '';
+    
+    openModal('skinModal');
+}
+
+/**
+ * Closes the custom skin dialog without saving
+ */
+function closeSkinEditor() {
+    editingSkin = null;
+    closeModal('skinModal');
+}
+
+/**
+ * Saves the custom skin from the dialog and switches to it
+ */
+function saveSkinEditor() {
+    Object.keys(SKIN_COLOUR_NAMES).forEach(colour => {
+        editingSkin.palette[colour] = document.getElementById(`skinColour-${colour}`).value;
+    });
+    editingSkin.icon = document.getElementById('skinIcon').value;
+    editingSkin.font = document.getElementById('skinFont').value;
+    
+    const appearance = { ...state.appearance, skin: CUSTOM_SKIN, custom: editingSkin };
+    const errors = validateAppearance(appearance);
+    if (errors.length > 0) {
+        document.getElementById('skinError').textContent = errors.join('. ');
+        return;
+    }
+    
+    recordAction('Edit custom skin');
+    state.appearance = appearance;
+    editingSkin = null;
+    
+    applyAppearance();
+    closeModal('skinModal');
+    saveState();
+}
+
+// ============================================
+// Accessibility
+// ============================================
+
+// Device setting for the colour theme - every saved game on this device uses it
+const THEME_KEY = 'spaceHulkTrackerTheme';
+
+// Themes that can be picked - the standard theme is the stylesheet without a data-theme attribute
+const THEMES = ['standard', 'high-contrast', 'colour-blind'];
+
+// Pause before a message goes into a live region, so a message repeated word for word is read again (ms)
+const ANNOUNCE_DELAY = 100;
+
+// Pending message of each live region - a newer message replaces one that has not been read yet
+const announceTimeouts = {};
+
+// Element focused before each open dialog, given focus back when the dialog closes
+const focusOrigins = new Map();
+
+/**
+ * Reads a message out to screen readers through a live region
+ * @param {string} message - Message to read
+ * @param {boolean} [urgent] - True to interrupt whatever is being read
+ */
+function announce(message, urgent = false) {
+    const id = urgent ? 'urgentAnnouncer' : 'announcer';
+    const region = document.getElementById(id);
+    if (!region) return;
+    
+    clearTimeout(announceTimeouts[id]);
+    region.textContent = '';
+    announceTimeouts[id] = setTimeout(() => {
+        region.textContent = message;
+    }, ANNOUNCE_DELAY);
+}
+
+/**
+ * Announces a tracker's new value, noting when it runs low or out
+ * @param {Object} change - Tracker change from tracker.subscribe
+ */
+function announceTrackerChange({ id, value }) {
+    const settings = getTrackerSettings(id);
+    let message = `${getTrackerLabel(id)} ${value}`;
+    
+    if (value <= settings.min) {
+        message += ', none left';
+    } else if (value <= settings.lowThreshold) {
+        message += ', low';
+    }
+    announce(message);
+}
+
+/**
+ * Announces the time left while the timer runs, a few times a minute rather than every second
+ * @param {number} totalSeconds - Seconds remaining
+ */
+function announceTimeLeft(totalSeconds) {
+    if (isAnnouncedTime(totalSeconds)) {
+        announce(`${describeTime(totalSeconds)} left`);
+    }
+}
+
+/**
+ * Describes a number of seconds in words
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Duration such as "2 minutes 30 seconds"
+ */
+function describeTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    const parts = [];
+    
+    if (minutes > 0) {
+        parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+    }
+    if (seconds > 0 || minutes === 0) {
+        parts.push(`${seconds} second${seconds === 1 ? '' : 's'}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Lists the controls in a container that can take keyboard focus
+ * @param {HTMLElement} container - Dialog or menu
+ * @returns {HTMLElement[]} Focusable elements in tab order
+ */
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+        .filter(el => !el.disabled && !el.closest('[hidden], .hidden'));
+}
+
+/**
+ * Moves focus into a dialog that just opened, remembering where it came from
+ * @param {HTMLElement} container - Dialog or menu
+ */
+function focusDialog(container) {
+    if (!focusOrigins.has(container)) {
+        focusOrigins.set(container, document.activeElement);
+    }
+    const first = getFocusableElements(container)[0];
+    if (first) {
+        first.focus();
+    }
+}
+
+/**
+ * Gives focus back to the control that opened a dialog
+ * @param {HTMLElement} container - Dialog or menu that just closed
+ */
+function restoreFocus(container) {
+    const origin = focusOrigins.get(container);
+    focusOrigins.delete(container);
+    
+    // The opener may have been re-rendered away while the dialog was open
+    if (origin && origin.isConnected && typeof origin.focus === 'function') {
+        origin.focus();
+    }
+}
+
+/**
+ * Finds the dialog in front - the last open modal, or the tracker menu
+ * @returns {HTMLElement|null} Open dialog
+ */
+function getTopDialog() {
+    const modals = document.querySelectorAll('.modal.open');
+    if (modals.length > 0) {
+        return modals[modals.length - 1];
+    }
+    return document.querySelector('.tracker-menu.open');
+}
+
+/**
+ * Keeps Tab inside the open dialog and closes it on Escape
+ * @param {KeyboardEvent} event - Key press
+ */
+function handleDialogKeys(event) {
+    // Escape cancels a binding capture instead of closing the controls dialog
+    if (capturingBinding) return;
+    
+    const dialog = getTopDialog();
+    if (!dialog) return;
+    
+    if (event.key === 'Escape') {
+        // Dialogs without a close button wait for an answer
+        const closeButton = dialog.querySelector('.menu-close');
+        if (closeButton) {
+            event.preventDefault();
+            closeButton.click();
+        }
+    } else if (event.key === 'Tab') {
+        const focusable = getFocusableElements(dialog);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
         }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!dialog.contains(document.activeElement)) {
+            event.preventDefault();
+            first.focus();
+        } else if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+/**
+ * Gets the colour theme chosen on this device
+ * @returns {string} Theme from THEMES
+ */
+function getTheme() {
+    try {
+        const theme = localStorage.getItem(THEME_KEY);
+        return THEMES.includes(theme) ? theme : 'standard';
     } catch (e) {
-        console.warn('Failed to load state:', e);
+        return 'standard';
+    }
+}
+
+/**
+ * Chooses the colour theme for this device
+ * @param {string} theme - Theme from THEMES
+ */
+function setTheme(theme) {
+    if (!THEMES.includes(theme)) return;
+    
+    try {
+        localStorage.setItem(THEME_KEY, theme);
+    } catch (e) {
+        console.warn('Failed to save theme:', e);
+    }
+    applyTheme(theme);
+}
+
+/**
+ * Switches the page to a colour theme
+ * @param {string} theme - Theme from THEMES
+ */
+function applyTheme(theme) {
+    if (theme === 'standard') {
+        document.documentElement.removeAttribute('data-theme');
+    } else {
+        document.documentElement.dataset.theme = theme;
     }
 }
 
@@ -742,13 +6468,130 @@ function escapeHtml(text) {
     return String(text).replace(/[&<>"']/g, char => htmlEscapes[char]);
 }
 
+/**
+ * Offers text content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Opens a modal dialog
+ * @param {string} id - Modal element ID
+ */
+function openModal(id) {
+    const modal = document.getElementById(id);
+    modal.classList.add('open');
+    focusDialog(modal);
+}
+
+/**
+ * Closes a modal dialog
+ * @param {string} id - Modal element ID
+ */
+function closeModal(id) {
+    const modal = document.getElementById(id);
+    if (!modal.classList.contains('open')) return;
+    
+    modal.classList.remove('open');
+    restoreFocus(modal);
+}
+
+/**
+ * Encodes text as URL-safe base64 without padding
+ * @param {string} text - Text to encode
+ * @returns {string} Base64url string
+ */
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => {
+        binary += String.fromCharCode(b);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL-safe base64 back to text
+ * @param {string} encoded - Base64url string
+ * @returns {string} Decoded text
+ */
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Formats a timestamp as a local date and time of day
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Localized date followed by HH:MM:SS
+ */
+function formatDateTime(timestamp) {
+    return `${new Date(timestamp).toLocaleDateString()} ${formatTime(timestamp)}`;
+}
+
+/**
+ * Formats a timestamp as a local time of day
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Time in HH:MM:SS format
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return [date.getHours(), date.getMinutes(), date.getSeconds()]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+}
+
 // ============================================
 // Event Listeners & Initialization
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Load saved state
+    applyTheme(getTheme());
+    
+    // Weapon and tracker sections must exist before any state is applied to them
+    renderWeaponModules();
+    renderTrackers();
+    
+    // The skin select needs its options before a saved skin is shown in it
+    renderSkinOptions();
+    
+    // Load saved games, then the active game's state and action history
+    loadSessions();
     loadState();
+    loadHistory();
+    loadEventLog();
+    loadMissionPresets();
+    loadCampaign();
+    loadProfiles();
+    
+    // Screen readers hear every tracker change
+    tracker.subscribe(announceTrackerChange);
+    
+    // Skin and light or dark mode - a fresh game has no saved skin to apply
+    applyAppearance();
+    document.getElementById('menuSkin').addEventListener('change', (e) => setSkin(e.target.value));
+    document.getElementById('menuMode').addEventListener('change', (e) => setAppearanceMode(e.target.value));
+    document.getElementById('openSkinEditor').addEventListener('click', openSkinEditor);
+    document.getElementById('skinClose').addEventListener('click', closeSkinEditor);
+    document.getElementById('skinSave').addEventListener('click', saveSkinEditor);
+    if (window.matchMedia) {
+        window.matchMedia('(prefers-color-scheme: light)').addEventListener('change', () => {
+            if (state.appearance.mode === 'system') {
+                applyAppearance();
+            }
+        });
+    }
     
     // Timer controls
     document.getElementById('startTimer').addEventListener('click', startTimer);
@@ -766,21 +6609,155 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('menuOverlay').addEventListener('click', closeMenu);
     
     // Menu checkboxes
-    document.getElementById('menuLibrarian').addEventListener('change', () => handleMenuCheckboxChange('librarian'));
-    document.getElementById('menuCannon').addEventListener('change', () => handleMenuCheckboxChange('cannon'));
-    document.getElementById('menuCommand').addEventListener('change', () => handleMenuCheckboxChange('command'));
+    document.getElementById('menuDice').addEventListener('change', () => handleMenuCheckboxChange('dice'));
+    document.getElementById('menuRoster').addEventListener('change', () => handleMenuCheckboxChange('roster'));
+    
+    // Session controls
+    document.getElementById('createSession').addEventListener('click', createSession);
+    
+    // Import and export
+    document.getElementById('exportState').addEventListener('click', exportState);
+    document.getElementById('importState').addEventListener('click', () => document.getElementById('importFile').click());
+    document.getElementById('importFile').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            importState(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('errorClose').addEventListener('click', () => closeModal('errorModal'));
+    
+    // Share controls
+    document.getElementById('shareGame').addEventListener('click', showShareDialog);
+    document.getElementById('shareClose').addEventListener('click', () => closeModal('shareModal'));
+    document.getElementById('copyShareLink').addEventListener('click', copyShareLink);
+    
+    // Mission controls
+    document.getElementById('applyMission').addEventListener('click', () => {
+        applyMissionPreset(document.getElementById('missionSelect').value);
+    });
+    document.getElementById('saveMission').addEventListener('click', saveMissionPreset);
+    
+    // Campaign
+    document.getElementById('openCampaign').addEventListener('click', openCampaign);
+    document.getElementById('campaignClose').addEventListener('click', closeCampaign);
+    document.getElementById('campaignAddMission').addEventListener('click', addCampaignMission);
+    document.getElementById('campaignStart').addEventListener('click', startCampaign);
+    document.getElementById('campaignRecord').addEventListener('click', recordCampaignResult);
+    document.getElementById('campaignUndoResult').addEventListener('click', undoCampaignResult);
+    document.getElementById('campaignEnd').addEventListener('click', endCampaign);
+    
+    // Layout controls
+    document.getElementById('addGroup').addEventListener('click', addGroup);
+    document.getElementById('resetLayout').addEventListener('click', resetLayout);
+    
+    // History controls
+    document.getElementById('undoBtn').addEventListener('click', undoAction);
+    document.getElementById('redoBtn').addEventListener('click', redoAction);
+    document.getElementById('toastUndo').addEventListener('click', undoAction);
+    
+    // Turn controls
+    document.getElementById('nextPhase').addEventListener('click', advancePhase);
+    document.getElementById('resetTurns').addEventListener('click', resetTurns);
+    
+    // Squad roster
+    renderRosterOptions();
+    renderRoster();
+    document.getElementById('addMarine').addEventListener('click', addMarine);
+    document.getElementById('loadRoster').addEventListener('click', () => {
+        loadRosterTemplate(document.getElementById('rosterTemplate').value);
+    });
+    
+    // Two-player mode
+    document.getElementById('menuTwoPlayer').addEventListener('change', (e) => setPlayerOption('twoPlayer', e.target.checked));
+    document.getElementById('menuChessClock').addEventListener('change', (e) => setPlayerOption('chessClock', e.target.checked));
+    document.getElementById('menuTableTop').addEventListener('change', (e) => setPlayerOption('tableTop', e.target.checked));
+    
+    // Player profiles and turn time stats
+    document.getElementById('openProfiles').addEventListener('click', openProfiles);
+    document.getElementById('profilesClose').addEventListener('click', closeProfiles);
+    document.getElementById('addProfile').addEventListener('click', addProfile);
+    Object.keys(PLAYER_SIDES).forEach(side => {
+        document.getElementById(`${side}Profile`).addEventListener('change', (e) => assignProfile(side, e.target.value));
+    });
+    document.getElementById('marinesWon').addEventListener('click', () => recordProfileResult('marine'));
+    document.getElementById('genestealersWon').addEventListener('click', () => recordProfileResult('genestealer'));
+    document.getElementById('enterBlip').addEventListener('click', enterBlip);
+    
+    // Keyboard, gamepad and hardware button controls
+    document.addEventListener('keydown', handleDialogKeys);
+    document.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('gamepadconnected', handleGamepadConnected);
+    window.addEventListener('gamepaddisconnected', handleGamepadDisconnected);
+    document.getElementById('openBindings').addEventListener('click', openBindings);
+    document.getElementById('bindingsClose').addEventListener('click', closeBindings);
+    document.getElementById('bindingsReset').addEventListener('click', resetBindings);
+    document.getElementById('bindingsSave').addEventListener('click', saveBindings);
+    
+    // Multi-device sync
+    loadSyncSettings();
+    document.getElementById('syncToggle').addEventListener('click', toggleSync);
+    if (sync.settings.enabled) {
+        startSync();
+    } else {
+        updateSyncStatus();
+    }
+    
+    // Offline and install
+    registerServiceWorker();
+    document.getElementById('updateReload').addEventListener('click', applyUpdate);
+    document.getElementById('installApp').addEventListener('click', installApp);
+    window.addEventListener('beforeinstallprompt', handleInstallPrompt);
+    document.getElementById('menuKeepAwake').checked = isKeepAwakeEnabled();
+    document.getElementById('menuKeepAwake').addEventListener('change', (e) => setKeepAwake(e.target.checked));
+    document.getElementById('menuTheme').value = getTheme();
+    document.getElementById('menuTheme').addEventListener('change', (e) => setTheme(e.target.value));
+    
+    // Sound & alerts
+    document.getElementById('muteBtn').addEventListener('click', toggleMute);
+    document.getElementById('alertSettingsBtn').addEventListener('click', openAlertSettings);
+    document.getElementById('addWarning').addEventListener('click', addWarning);
+    document.getElementById('previewAlarm').addEventListener('click', previewAlarm);
+    document.getElementById('alertsSave').addEventListener('click', saveAlertSettings);
+    document.getElementById('alertsClose').addEventListener('click', () => closeModal('alertsModal'));
+    
+    // Tracker settings dialog
+    document.getElementById('trackerEditSave').addEventListener('click', saveTrackerEditor);
+    document.getElementById('trackerEditClose').addEventListener('click', () => closeModal('trackerEditModal'));
+    
+    // Assault Cannon explosion roll
+    document.getElementById('cannonExploded').addEventListener('click', () => resolveCannonExplosion(true));
+    document.getElementById('cannonSafe').addEventListener('click', () => resolveCannonExplosion(false));
+    
+    // Dice roller
+    document.querySelectorAll('[data-roll]').forEach(button => {
+        button.addEventListener('click', () => handleRoll(button.dataset.roll));
+    });
+    
+    // Match report
+    document.getElementById('showReport').addEventListener('click', showMatchReport);
+    document.getElementById('reportClose').addEventListener('click', () => closeModal('reportModal'));
+    document.getElementById('downloadReportMd').addEventListener('click', () => downloadMatchReport('md'));
+    document.getElementById('downloadReportCsv').addEventListener('click', () => downloadMatchReport('csv'));
+    
+    // Open a game shared by link from another device
+    loadSharedGame();
+    window.addEventListener('hashchange', loadSharedGame);
     
-    // Initialize timer display
+    // Initialize timer, turn and weapon displays
     updateTimerDisplay();
+    updateTurnDisplay();
+    updateWeaponDisplays();
 
 });
 
-// Handle page visibility to pause timer when hidden
+// Timers are throttled while the page is hidden, so save on the way out and catch up on return
 document.addEventListener('visibilitychange', () => {
     if (document.hidden && state.timer.isRunning) {
-        // Keep running but save state
         saveState();
+    } else if (!document.hidden) {
+        tickTimer();
     }
+    updateWakeLock();
 });
 
 // Save state before page unload
@@ -0,0 +1,83 @@
+/**
+ * Space Hulk Tracker - Audio Scheduling
+ * Beep and alarm sounds, scheduled on whichever audio context is passed in
+ */
+
+// ============================================
+// Audio Constants
+// ============================================
+
+const AUDIO_FREQUENCY = 880; // Hz (high A note)
+const AUDIO_RAMP_START_TIME = 0.01; // seconds
+const AUDIO_MIN_GAIN = 0.01; // minimum gain for exponential ramp
+
+// Length and spacing of warning beeps (seconds)
+const WARNING_BEEP_DURATION = 0.15;
+const WARNING_BEEP_INTERVAL = 0.25;
+
+// ============================================
+// Alarm Profiles
+// ============================================
+
+// Synthesized alarm sounds - each pattern is one run of beeps, offset by its delay
+const ALARM_PROFILES = {
+    classic: {
+        name: 'Classic',
+        repeat: 2000,
+        patterns: [{ frequency: 880, beeps: 5, duration: 0.2, interval: 0.3, delay: 0 }]
+    },
+    klaxon: {
+        name: 'Klaxon',
+        repeat: 1800,
+        patterns: [{ frequency: 440, beeps: 2, duration: 0.6, interval: 0.75, delay: 0 }]
+    },
+    siren: {
+        name: 'Siren',
+        repeat: 2400,
+        patterns: [
+            { frequency: 660, beeps: 3, duration: 0.3, interval: 0.6, delay: 0 },
+            { frequency: 990, beeps: 3, duration: 0.3, interval: 0.6, delay: 0.3 }
+        ]
+    },
+    rapid: {
+        name: 'Rapid Fire',
+        repeat: 1500,
+        patterns: [{ frequency: 1320, beeps: 8, duration: 0.08, interval: 0.12, delay: 0 }]
+    }
+};
+
+// ============================================
+// Beeps
+// ============================================
+
+/**
+ * Schedules a run of beeps on an audio context
+ * @param {AudioContext} ctx - Context to play on - anything with the same oscillator and gain API will do
+ * @param {number} beepCount - Number of beeps to play
+ * @param {number} beepDuration - Duration of each beep in seconds
+ * @param {number} beepInterval - Interval between beeps in seconds
+ * @param {number} volume - Volume/gain of the beeps (0-1)
+ * @param {number} [frequency] - Tone of the beeps in Hz
+ * @param {number} [delay] - Seconds to wait before the first beep
+ */
+function scheduleBeeps(ctx, beepCount, beepDuration, beepInterval, volume, frequency = AUDIO_FREQUENCY, delay = 0) {
+    for (let i = 0; i < beepCount; i++) {
+        const startTime = ctx.currentTime + delay + (i * beepInterval);
+        
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        
+        gainNode.gain.setValueAtTime(0, startTime);
+        gainNode.gain.linearRampToValueAtTime(volume, startTime + AUDIO_RAMP_START_TIME);
+        gainNode.gain.exponentialRampToValueAtTime(AUDIO_MIN_GAIN, startTime + beepDuration);
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(ctx.destination);
+        
+        oscillator.start(startTime);
+        oscillator.stop(startTime + beepDuration);
+    }
+}
@@ -0,0 +1,856 @@
+/**
+ * Space Hulk Tracker - Save Data
+ * Converts the game state to and from its saved form - migrating and validating it, but not where it is stored
+ */
+
+// ============================================
+// Save Data
+// ============================================
+
+// Version of the saved data layout - bump and extend migrateSaveData when it changes
+const SAVE_SCHEMA_VERSION = 15;
+
+/**
+ * Builds the persistable snapshot of the current state
+ * @returns {Object} Serializable state data
+ */
+function getSaveData() {
+    return {
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        timer: {
+            minutes: state.timer.minutes,
+            seconds: state.timer.seconds,
+            defaultMinutes: state.timer.defaultMinutes,
+            isRunning: state.timer.isRunning,
+            endsAt: state.timer.endsAt,
+            activePlayer: state.timer.activePlayer,
+            activeSince: state.timer.activeSince,
+            elapsed: state.timer.elapsed
+        },
+        turn: state.turn,
+        trackers: state.trackers,
+        weapons: state.weapons,
+        blipPool: state.blipPool,
+        blipsEntered: state.blipsEntered,
+        players: state.players,
+        roster: state.roster,
+        nextMarineId: state.nextMarineId,
+        nextTrackerId: state.nextTrackerId,
+        layout: state.layout,
+        mission: state.mission,
+        trackerSettings: state.trackerSettings,
+        alerts: state.alerts,
+        bindings: state.bindings,
+        appearance: state.appearance,
+        visibility: state.visibility,
+        rosterHidden: state.rosterHidden
+    };
+}
+
+/**
+ * Builds the state data for a fresh game
+ * @returns {Object} Default state data
+ */
+function createDefaultSaveData() {
+    return {
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        timer: {
+            minutes: 3,
+            seconds: 0,
+            defaultMinutes: 3,
+            isRunning: false,
+            endsAt: null,
+            activePlayer: null,
+            activeSince: null,
+            elapsed: { marine: 0, genestealer: 0 }
+        },
+        turn: { number: 1, phase: TURN_PHASES[0].id },
+        trackers: createDefaultTrackers(),
+        weapons: createWeaponStates(),
+        blipPool: DEFAULT_BLIP_POOL,
+        blipsEntered: 0,
+        players: { twoPlayer: false, chessClock: false, tableTop: false, profiles: { marine: null, genestealer: null } },
+        roster: [],
+        nextMarineId: 1,
+        nextTrackerId: 1,
+        layout: createDefaultLayout(createDefaultTrackers()),
+        mission: null,
+        trackerSettings: {
+            cannon: createTrackerSettings(),
+            flamer: createTrackerSettings()
+        },
+        alerts: createDefaultAlertSettings(),
+        bindings: createDefaultBindings(),
+        appearance: createDefaultAppearance(),
+        visibility: { psychic: true, cannon: true, flamer: false, command: true, dice: true, roster: true },
+        rosterHidden: []
+    };
+}
+
+// ============================================
+// Migration & Validation
+// ============================================
+
+/**
+ * Error raised for save data that fails validation
+ */
+class SaveDataError extends Error {
+    /**
+     * @param {string[]} errors - Validation problems
+     */
+    constructor(errors) {
+        super(errors.join('; '));
+        this.name = 'SaveDataError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Upgrades saved data from older versions to the current schema
+ * @param {Object} data - Parsed save data of any schema version
+ * @returns {Object} Save data in the current schema
+ */
+function migrateSaveData(data) {
+    const migrated = { ...data };
+    const version = migrated.schemaVersion ?? 0;
+    
+    // Version 0 - saves from before the schema was versioned
+    if (version < 1) {
+        const defaults = createDefaultSaveData();
+        
+        // Handle legacy showLibrarian setting
+        if (migrated.showLibrarian !== undefined && migrated.visibility === undefined) {
+            migrated.visibility = { librarian: migrated.showLibrarian };
+        }
+        delete migrated.showLibrarian;
+        
+        // Fill in everything added since the first version
+        Object.keys(defaults).forEach(key => {
+            if (migrated[key] === undefined) {
+                migrated[key] = defaults[key];
+            }
+        });
+        migrated.timer = { ...defaults.timer, ...migrated.timer };
+        
+        // Custom trackers were always visible until they could be hidden
+        const visibility = { ...defaults.visibility };
+        if (Array.isArray(migrated.customTrackers)) {
+            migrated.customTrackers.forEach(t => {
+                visibility[`custom-${t.id}`] = true;
+            });
+        }
+        migrated.visibility = { ...visibility, ...migrated.visibility };
+        
+        // Clean up obsolete visibility keys from previous version where timer and generic custom were hideable
+        delete migrated.visibility.timer;
+        delete migrated.visibility.custom;
+        
+        migrated.schemaVersion = 1;
+    }
+    
+    // Version 2 - per-tracker limits, step sizes and alerts
+    if (version < 2) {
+        migrated.trackerSettings = createDefaultSaveData().trackerSettings;
+        if (Array.isArray(migrated.customTrackers)) {
+            migrated.customTrackers = migrated.customTrackers.map(t => ({
+                ...t,
+                settings: createTrackerSettings(t && t.settings)
+            }));
+        }
+        migrated.schemaVersion = 2;
+    }
+    
+    // Version 3 - running timer saved with its deadline
+    if (version < 3) {
+        migrated.timer = { isRunning: false, endsAt: null, ...migrated.timer };
+        migrated.schemaVersion = 3;
+    }
+    
+    // Version 4 - configurable warnings and alarm sounds
+    if (version < 4) {
+        migrated.alerts = createDefaultAlertSettings();
+        migrated.schemaVersion = 4;
+    }
+    
+    // Version 5 - Genestealer player panel and chess clock
+    if (version < 5) {
+        const defaults = createDefaultSaveData();
+        migrated.blipPool = defaults.blipPool;
+        migrated.blipsEntered = defaults.blipsEntered;
+        migrated.players = defaults.players;
+        migrated.timer = { ...migrated.timer, activePlayer: null, activeSince: null, elapsed: defaults.timer.elapsed };
+        migrated.schemaVersion = 5;
+    }
+    
+    // Version 6 - squad roster
+    if (version < 6) {
+        migrated.roster = [];
+        migrated.nextMarineId = 1;
+        if (migrated.visibility && typeof migrated.visibility === 'object') {
+            migrated.visibility = { roster: true, ...migrated.visibility };
+        }
+        migrated.schemaVersion = 6;
+    }
+    
+    // Version 7 - weapon modules replace the separate Assault Cannon fields
+    if (version < 7) {
+        const weapons = createWeaponStates();
+        weapons.cannon.ammo = migrated.cannonPoints ?? weapons.cannon.ammo;
+        weapons.cannon.reloads = migrated.cannonReloads ?? weapons.cannon.reloads;
+        weapons.cannon.destroyed = migrated.cannonDestroyed ?? false;
+        delete migrated.cannonPoints;
+        delete migrated.cannonReloads;
+        delete migrated.cannonDestroyed;
+        migrated.weapons = weapons;
+        
+        if (migrated.trackerSettings && typeof migrated.trackerSettings === 'object') {
+            migrated.trackerSettings = { flamer: createTrackerSettings(), ...migrated.trackerSettings };
+        }
+        if (migrated.visibility && typeof migrated.visibility === 'object') {
+            migrated.visibility = { flamer: false, ...migrated.visibility };
+        }
+        migrated.schemaVersion = 7;
+    }
+    
+    // Version 8 - psychic, command and custom trackers share one ordered registry
+    if (version < 8) {
+        const trackerSettings = migrated.trackerSettings && typeof migrated.trackerSettings === 'object' ? migrated.trackerSettings : {};
+        const values = { psychic: migrated.psychicPoints, command: migrated.commandPoints };
+        const builtIns = createDefaultTrackers().map(t => ({
+            ...t,
+            value: values[t.id] ?? t.value,
+            settings: trackerSettings[t.id] ?? t.settings
+        }));
+        const customTrackers = Array.isArray(migrated.customTrackers) ? migrated.customTrackers : [];
+        migrated.trackers = [
+            ...builtIns,
+            ...customTrackers.map(t => (t && typeof t === 'object' ? { ...t, id: `custom-${t.id}`, removed: false } : t))
+        ];
+        delete migrated.psychicPoints;
+        delete migrated.commandPoints;
+        delete migrated.customTrackers;
+        
+        if (migrated.trackerSettings && typeof migrated.trackerSettings === 'object') {
+            const { psychic, command, ...weaponSettings } = migrated.trackerSettings;
+            migrated.trackerSettings = weaponSettings;
+        }
+        if (migrated.visibility && typeof migrated.visibility === 'object') {
+            const { librarian, ...visibility } = migrated.visibility;
+            migrated.visibility = { ...visibility, psychic: librarian ?? visibility.psychic ?? true };
+        }
+        migrated.schemaVersion = 8;
+    }
+    
+    // Version 9 - sections can be reordered and grouped
+    if (version < 9) {
+        const trackers = Array.isArray(migrated.trackers) ? migrated.trackers.filter(t => t && typeof t === 'object') : [];
+        migrated.layout = createDefaultLayout(trackers);
+        migrated.schemaVersion = 9;
+    }
+    
+    // Version 10 - keyboard and gamepad controls
+    if (version < 10) {
+        migrated.bindings = createDefaultBindings();
+        migrated.schemaVersion = 10;
+    }
+    
+    // Version 11 - skins and light mode
+    if (version < 11) {
+        migrated.appearance = createDefaultAppearance();
+        migrated.schemaVersion = 11;
+    }
+    
+    // Version 12 - player profiles
+    if (version < 12) {
+        migrated.players = { ...migrated.players, profiles: { marine: null, genestealer: null } };
+        migrated.schemaVersion = 12;
+    }
+    
+    // Version 13 - weapons reset to the ammo their game started with
+    if (version < 13) {
+        if (migrated.weapons && typeof migrated.weapons === 'object') {
+            Object.keys(WEAPON_MODULES).forEach(id => {
+                const weapon = migrated.weapons[id];
+                if (weapon && typeof weapon === 'object') {
+                    weapon.defaultAmmo = weapon.defaultAmmo ?? WEAPON_MODULES[id].ammo;
+                }
+            });
+        }
+        migrated.schemaVersion = 13;
+    }
+    
+    // Version 14 - sections hidden by the roster are told apart from those the player hid
+    if (version < 14) {
+        migrated.rosterHidden = [];
+        migrated.schemaVersion = 14;
+    }
+    
+    // Version 15 - weapons can be removed from the board and restored like other trackers
+    if (version < 15) {
+        if (migrated.weapons && typeof migrated.weapons === 'object') {
+            Object.values(migrated.weapons).forEach(weapon => {
+                if (weapon && typeof weapon === 'object') {
+                    weapon.removed = weapon.removed ?? false;
+                }
+            });
+        }
+        migrated.schemaVersion = 15;
+    }
+    
+    return migrated;
+}
+
+/**
+ * Checks save data against the current schema
+ * @param {Object} data - Save data after migrateSaveData
+ * @returns {string[]} Problems found, empty when the data is valid
+ */
+function validateSaveData(data) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    
+    if (!data || typeof data !== 'object') {
+        return ['Save data is not an object'];
+    }
+    if (data.schemaVersion !== SAVE_SCHEMA_VERSION) {
+        errors.push(`Unsupported schema version ${data.schemaVersion} (expected ${SAVE_SCHEMA_VERSION})`);
+        return errors;
+    }
+    
+    // Timer
+    if (!data.timer || typeof data.timer !== 'object') {
+        errors.push('timer is missing');
+    } else {
+        if (!isCount(data.timer.minutes) || data.timer.minutes > 60) {
+            errors.push('timer.minutes must be a whole number from 0 to 60');
+        }
+        if (!isCount(data.timer.seconds) || data.timer.seconds > 59) {
+            errors.push('timer.seconds must be a whole number from 0 to 59');
+        }
+        if (!Number.isInteger(data.timer.defaultMinutes) || data.timer.defaultMinutes < 1 || data.timer.defaultMinutes > 60) {
+            errors.push('timer.defaultMinutes must be a whole number from 1 to 60');
+        }
+        if (typeof data.timer.isRunning !== 'boolean') {
+            errors.push('timer.isRunning must be true or false');
+        }
+        if (data.timer.endsAt !== null && !Number.isFinite(data.timer.endsAt)) {
+            errors.push('timer.endsAt must be empty or a time');
+        }
+        if (data.timer.isRunning === true && data.timer.endsAt === null) {
+            errors.push('timer.endsAt is required while the timer is running');
+        }
+        if (data.timer.activePlayer !== null && !PLAYER_SIDES[data.timer.activePlayer]) {
+            errors.push('timer.activePlayer must be empty, marine or genestealer');
+        }
+        if (data.timer.activePlayer !== null && !Number.isFinite(data.timer.activeSince)) {
+            errors.push('timer.activeSince is required while a player clock is running');
+        }
+        if (!data.timer.elapsed || !Object.keys(PLAYER_SIDES).every(side => isCount(data.timer.elapsed[side]))) {
+            errors.push('timer.elapsed must hold a time for each player');
+        }
+    }
+    
+    // Turn
+    if (!data.turn || typeof data.turn !== 'object') {
+        errors.push('turn is missing');
+    } else {
+        if (!Number.isInteger(data.turn.number) || data.turn.number < 1) {
+            errors.push('turn.number must be a whole number of at least 1');
+        }
+        if (!TURN_PHASES.some(p => p.id === data.turn.phase)) {
+            errors.push(`turn.phase "${data.turn.phase}" is not a known phase`);
+        }
+    }
+    
+    // Trackers
+    errors.push(...validateTrackers(data.trackers, data.nextTrackerId));
+    errors.push(...validateLayout(data.layout, data.trackers));
+    errors.push(...validateWeapons(data.weapons));
+    ['blipPool', 'blipsEntered'].forEach(key => {
+        if (!isCount(data[key])) {
+            errors.push(`${key} must be a non-negative whole number`);
+        }
+    });
+    if (!data.players || typeof data.players !== 'object') {
+        errors.push('players is missing');
+    } else {
+        ['twoPlayer', 'chessClock', 'tableTop'].forEach(key => {
+            if (typeof data.players[key] !== 'boolean') {
+                errors.push(`players.${key} must be true or false`);
+            }
+        });
+        const profiles = data.players.profiles;
+        if (!profiles || typeof profiles !== 'object') {
+            errors.push('players.profiles is missing');
+        } else {
+            Object.keys(PLAYER_SIDES).forEach(side => {
+                if (profiles[side] !== null && typeof profiles[side] !== 'string') {
+                    errors.push(`players.profiles.${side} must be empty or a profile ID`);
+                }
+            });
+        }
+    }
+    errors.push(...validateAlertSettings(data.alerts));
+    errors.push(...validateRoster(data.roster, data.nextMarineId));
+    if (!data.trackerSettings || typeof data.trackerSettings !== 'object') {
+        errors.push('trackerSettings is missing');
+    } else {
+        Object.keys(WEAPON_MODULES).forEach(type => {
+            const ammo = data.weapons && data.weapons[type] ? data.weapons[type].ammo : undefined;
+            const settings = data.trackerSettings[type];
+            const settingsErrors = validateTrackerSettings(settings, `trackerSettings.${type}`);
+            errors.push(...settingsErrors);
+            if (settingsErrors.length === 0 && Number.isInteger(ammo) && !isWithinLimits(ammo, settings)) {
+                errors.push(`${type} value ${ammo} is outside its limits`);
+            }
+        });
+    }
+    
+    // Visibility
+    if (!data.visibility || typeof data.visibility !== 'object') {
+        errors.push('visibility is missing');
+    } else {
+        const builtIns = Object.keys(createDefaultSaveData().visibility);
+        const trackerIds = Array.isArray(data.trackers) ? data.trackers.map(t => t && t.id) : [];
+        Object.keys(data.visibility).forEach(key => {
+            const known = builtIns.includes(key) || trackerIds.includes(key);
+            if (!known) {
+                errors.push(`visibility.${key} does not match any tracker`);
+            } else if (typeof data.visibility[key] !== 'boolean') {
+                errors.push(`visibility.${key} must be true or false`);
+            }
+        });
+    }
+    const rosterSections = ['psychic', ...Object.keys(WEAPON_MODULES)];
+    if (!Array.isArray(data.rosterHidden) || !data.rosterHidden.every(key => rosterSections.includes(key))) {
+        errors.push(`rosterHidden must be a list of ${rosterSections.join(', ')}`);
+    }
+    
+    // Mission
+    if (data.mission !== null && (typeof data.mission !== 'object' || typeof data.mission.name !== 'string')) {
+        errors.push('mission must be empty or have a name');
+    }
+    
+    // Controls
+    errors.push(...validateBindings(data.bindings));
+    
+    // Skin
+    errors.push(...validateAppearance(data.appearance));
+    
+    return errors;
+}
+
+/**
+ * Parses, migrates and validates saved data
+ * @param {string} json - Saved JSON text
+ * @returns {Object} Valid save data in the current schema
+ * @throws {SaveDataError} If the data cannot be read or fails validation
+ */
+function parseSaveData(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new SaveDataError(['The file is not valid JSON']);
+    }
+    
+    const migrated = migrateSaveData(data);
+    const errors = validateSaveData(migrated);
+    if (errors.length > 0) {
+        throw new SaveDataError(errors);
+    }
+    return migrated;
+}
+
+/**
+ * Checks a tracker settings object
+ * @param {Object} settings - Tracker settings
+ * @param {string} where - Name used in error messages
+ * @returns {string[]} Problems found
+ */
+function validateTrackerSettings(settings, where) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    
+    if (!settings || typeof settings !== 'object') {
+        return [`${where} settings are missing`];
+    }
+    if (!isCount(settings.min)) {
+        errors.push(`${where} minimum must be a non-negative whole number`);
+    }
+    if (settings.max !== null && (!Number.isInteger(settings.max) || settings.max < settings.min)) {
+        errors.push(`${where} maximum must be empty or a whole number no lower than the minimum`);
+    }
+    if (!Number.isInteger(settings.step) || settings.step < 1) {
+        errors.push(`${where} step must be a whole number of at least 1`);
+    }
+    if (!isCount(settings.lowThreshold)) {
+        errors.push(`${where} low warning must be a non-negative whole number`);
+    }
+    if (typeof settings.zeroAlert !== 'boolean') {
+        errors.push(`${where} depletion alert must be true or false`);
+    }
+    return errors;
+}
+
+/**
+ * Checks the tracker registry
+ * @param {Object[]} trackers - Trackers from save data
+ * @param {number} nextTrackerId - Next custom tracker number
+ * @returns {string[]} Problems found
+ */
+function validateTrackers(trackers, nextTrackerId) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    
+    if (!Array.isArray(trackers)) {
+        return ['trackers must be a list'];
+    }
+    
+    const ids = new Set();
+    let highestCustomId = 0;
+    trackers.forEach((registered, index) => {
+        const where = `trackers[${index}]`;
+        if (!registered || typeof registered !== 'object') {
+            errors.push(`${where} is not a tracker`);
+            return;
+        }
+        const customMatch = /^custom-([1-9]\d*)$/.exec(registered.id);
+        if (!isBuiltInTracker(registered.id) && !customMatch) {
+            errors.push(`${where}.id must be a built-in tracker or custom-{number}`);
+        } else if (ids.has(registered.id)) {
+            errors.push(`${where}.id ${registered.id} is used by more than one tracker`);
+        } else {
+            ids.add(registered.id);
+            if (customMatch) {
+                highestCustomId = Math.max(highestCustomId, parseInt(customMatch[1]));
+            }
+        }
+        if (typeof registered.name !== 'string' || !registered.name.trim()) {
+            errors.push(`${where}.name must be a non-empty text`);
+        }
+        if (!isCount(registered.defaultValue)) {
+            errors.push(`${where}.defaultValue must be a non-negative whole number`);
+        }
+        if (!isCount(registered.value)) {
+            errors.push(`${where}.value must be a non-negative whole number`);
+        }
+        if (typeof registered.removed !== 'boolean') {
+            errors.push(`${where}.removed must be true or false`);
+        }
+        const settingsErrors = validateTrackerSettings(registered.settings, `${where}.settings`);
+        errors.push(...settingsErrors);
+        if (settingsErrors.length === 0 && isCount(registered.value) && !isWithinLimits(registered.value, registered.settings)) {
+            errors.push(`${where}.value ${registered.value} is outside its limits`);
+        }
+    });
+    
+    Object.keys(BUILT_IN_TRACKERS).forEach(id => {
+        if (!ids.has(id)) {
+            errors.push(`trackers is missing the built-in ${id} tracker`);
+        }
+    });
+    if (!Number.isInteger(nextTrackerId) || nextTrackerId < 1) {
+        errors.push('nextTrackerId must be a positive whole number');
+    } else if (nextTrackerId <= highestCustomId) {
+        errors.push(`nextTrackerId ${nextTrackerId} must be greater than every tracker id (highest is ${highestCustomId})`);
+    }
+    return errors;
+}
+
+/**
+ * Checks a board layout
+ * @param {Object} layout - Layout from save data
+ * @param {Object[]} trackers - Registry trackers from the same save data
+ * @returns {string[]} Problems found
+ */
+function validateLayout(layout, trackers) {
+    const errors = [];
+    
+    if (!layout || typeof layout !== 'object') {
+        return ['layout is missing'];
+    }
+    
+    const keys = getSectionKeys(Array.isArray(trackers) ? trackers.filter(t => t && typeof t === 'object') : []);
+    const placed = new Set();
+    const checkSections = (list, where) => {
+        list.forEach(key => {
+            if (!keys.includes(key)) {
+                errors.push(`${where} lists unknown section ${key}`);
+            } else if (placed.has(key)) {
+                errors.push(`${where} places section ${key} more than once`);
+            } else {
+                placed.add(key);
+            }
+        });
+    };
+    
+    const groupIds = [];
+    let highestGroupId = 0;
+    if (!Array.isArray(layout.groups)) {
+        errors.push('layout.groups must be a list');
+    } else {
+        layout.groups.forEach((group, index) => {
+            const where = `layout.groups[${index}]`;
+            if (!group || typeof group !== 'object') {
+                errors.push(`${where} is not a group`);
+                return;
+            }
+            const idMatch = /^group-([1-9]\d*)$/.exec(group.id);
+            if (!idMatch) {
+                errors.push(`${where}.id must be group-{number}`);
+            } else if (groupIds.includes(group.id)) {
+                errors.push(`${where}.id ${group.id} is used by more than one group`);
+            } else {
+                groupIds.push(group.id);
+                highestGroupId = Math.max(highestGroupId, parseInt(idMatch[1]));
+            }
+            if (typeof group.name !== 'string' || !group.name.trim()) {
+                errors.push(`${where}.name must be a non-empty text`);
+            }
+            if (typeof group.collapsed !== 'boolean') {
+                errors.push(`${where}.collapsed must be true or false`);
+            }
+            if (!Array.isArray(group.sections)) {
+                errors.push(`${where}.sections must be a list`);
+            } else {
+                checkSections(group.sections, `${where}.sections`);
+            }
+        });
+    }
+    
+    if (!Array.isArray(layout.order)) {
+        errors.push('layout.order must be a list');
+    } else {
+        checkSections(layout.order.filter(key => !groupIds.includes(key)), 'layout.order');
+        groupIds.forEach(id => {
+            if (layout.order.filter(key => key === id).length !== 1) {
+                errors.push(`layout.order must list group ${id} once`);
+            }
+        });
+    }
+    
+    if (!Number.isInteger(layout.nextGroupId) || layout.nextGroupId <= highestGroupId) {
+        errors.push(`layout.nextGroupId must be a whole number greater than every group id (highest is ${highestGroupId})`);
+    }
+    return errors;
+}
+
+/**
+ * Checks the saved state of every weapon
+ * @param {Object} weapons - Weapon states keyed by weapon
+ * @returns {string[]} Problems found
+ */
+function validateWeapons(weapons) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    
+    if (!weapons || typeof weapons !== 'object') {
+        return ['weapons is missing'];
+    }
+    Object.keys(WEAPON_MODULES).forEach(id => {
+        const weapon = weapons[id];
+        const where = `weapons.${id}`;
+        if (!weapon || typeof weapon !== 'object') {
+            errors.push(`${where} is missing`);
+            return;
+        }
+        ['ammo', 'defaultAmmo', 'reloads', 'maxReloads'].forEach(key => {
+            if (!isCount(weapon[key])) {
+                errors.push(`${where}.${key} must be a non-negative whole number`);
+            }
+        });
+        ['destroyed', 'removed'].forEach(key => {
+            if (typeof weapon[key] !== 'boolean') {
+                errors.push(`${where}.${key} must be true or false`);
+            }
+        });
+        if (!Array.isArray(weapon.markers) || !weapon.markers.every(m => typeof m === 'string')) {
+            errors.push(`${where}.markers must be a list of board sections`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Checks the roster of saved data
+ * @param {Array} roster - Roster entries
+ * @param {number} nextMarineId - Next ID to hand out
+ * @returns {string[]} Problems found
+ */
+function validateRoster(roster, nextMarineId) {
+    const errors = [];
+    const ids = new Set();
+    
+    if (!Array.isArray(roster)) {
+        return ['roster must be a list'];
+    }
+    roster.forEach((marine, index) => {
+        const where = `roster[${index}]`;
+        if (!marine || typeof marine !== 'object') {
+            errors.push(`${where} is not a Marine`);
+            return;
+        }
+        if (!Number.isInteger(marine.id) || marine.id < 1 || ids.has(marine.id)) {
+            errors.push(`${where}.id must be a unique positive whole number`);
+        }
+        ids.add(marine.id);
+        if (typeof marine.name !== 'string' || !marine.name.trim()) {
+            errors.push(`${where}.name must be a non-empty text`);
+        }
+        if (!WEAPONS[marine.weapon]) {
+            errors.push(`${where}.weapon "${marine.weapon}" is not a known weapon`);
+        }
+        ['librarian', 'alive', 'overwatch', 'guard', 'jammed'].forEach(key => {
+            if (typeof marine[key] !== 'boolean') {
+                errors.push(`${where}.${key} must be true or false`);
+            }
+        });
+    });
+    if (!Number.isInteger(nextMarineId) || nextMarineId < 1) {
+        errors.push('nextMarineId must be a positive whole number');
+    } else if (ids.size > 0 && nextMarineId <= Math.max(...ids)) {
+        errors.push(`nextMarineId ${nextMarineId} must be greater than every Marine id`);
+    }
+    return errors;
+}
+
+/**
+ * Checks a sound and alert settings object
+ * @param {Object} alerts - Alert settings
+ * @returns {string[]} Problems found
+ */
+function validateAlertSettings(alerts) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const isVolume = value => typeof value === 'number' && value >= 0 && value <= 1;
+    
+    if (!alerts || typeof alerts !== 'object') {
+        return ['alerts is missing'];
+    }
+    if (typeof alerts.muted !== 'boolean') {
+        errors.push('alerts.muted must be true or false');
+    }
+    if (!Array.isArray(alerts.warnings)) {
+        errors.push('alerts.warnings must be a list');
+    } else {
+        alerts.warnings.forEach((warning, index) => {
+            const where = `Warning ${index + 1}`;
+            if (!warning || typeof warning !== 'object') {
+                errors.push(`${where} is not valid`);
+                return;
+            }
+            if (warning.unit !== 'seconds' && warning.unit !== 'percent') {
+                errors.push(`${where} must be in seconds or percent`);
+            }
+            if (!Number.isInteger(warning.at) || warning.at < 1 || (warning.unit === 'percent' && warning.at > 99)) {
+                errors.push(`${where} must be at least 1 second, or 1 to 99 percent`);
+            }
+            if (!Number.isInteger(warning.frequency) || warning.frequency < 100 || warning.frequency > 4000) {
+                errors.push(`${where} tone must be from 100 to 4000 Hz`);
+            }
+            if (!Number.isInteger(warning.beeps) || warning.beeps < 1 || warning.beeps > 10) {
+                errors.push(`${where} must have 1 to 10 beeps`);
+            }
+            if (!isVolume(warning.volume)) {
+                errors.push(`${where} volume must be from 0 to 1`);
+            }
+        });
+    }
+    if (!isCount(alerts.warningColorAt) || !isCount(alerts.dangerColorAt) || alerts.dangerColorAt > alerts.warningColorAt) {
+        errors.push('Colour thresholds must be whole seconds, with red no later than amber');
+    }
+    if (!ALARM_PROFILES[alerts.alarmProfile]) {
+        errors.push(`Unknown alarm sound: ${alerts.alarmProfile}`);
+    }
+    if (!isVolume(alerts.alarmVolume)) {
+        errors.push('Alarm volume must be from 0 to 1');
+    }
+    if (typeof alerts.spokenCountdown !== 'boolean') {
+        errors.push('alerts.spokenCountdown must be true or false');
+    }
+    if (!Number.isInteger(alerts.countdownFrom) || alerts.countdownFrom < 1 || alerts.countdownFrom > 60) {
+        errors.push('Spoken countdown must start from 1 to 60 seconds');
+    }
+    return errors;
+}
+
+/**
+ * Checks a bindings object
+ * @param {Object} bindings - Keyboard and gamepad bindings
+ * @returns {string[]} Problems found
+ */
+function validateBindings(bindings) {
+    const errors = [];
+    const defaults = createDefaultBindings();
+    const checks = {
+        keyboard: input => typeof input === 'string' && input.length > 0,
+        gamepad: input => Number.isInteger(input) && input >= 0
+    };
+    
+    if (!bindings || typeof bindings !== 'object') {
+        return ['bindings is missing'];
+    }
+    Object.entries(checks).forEach(([device, isInput]) => {
+        const deviceBindings = bindings[device];
+        if (!deviceBindings || typeof deviceBindings !== 'object') {
+            errors.push(`bindings.${device} is missing`);
+            return;
+        }
+        
+        const used = new Set();
+        Object.entries(deviceBindings).forEach(([action, input]) => {
+            if (!(action in defaults[device])) {
+                errors.push(`Unknown ${device} action: ${action}`);
+            } else if (input !== null && !isInput(input)) {
+                errors.push(`${action} has an invalid ${device} binding`);
+            } else if (input !== null && used.has(input)) {
+                errors.push(`${device} input ${input} is bound to more than one action`);
+            }
+            used.add(input);
+        });
+    });
+    return errors;
+}
+
+/**
+ * Checks an appearance object
+ * @param {Object} appearance - Skin, light or dark mode and custom skin
+ * @returns {string[]} Problems found
+ */
+function validateAppearance(appearance) {
+    const errors = [];
+    const isColour = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    
+    if (!appearance || typeof appearance !== 'object') {
+        return ['appearance is missing'];
+    }
+    if (appearance.skin !== CUSTOM_SKIN && !SKINS[appearance.skin]) {
+        errors.push(`Unknown skin: ${appearance.skin}`);
+    }
+    if (!APPEARANCE_MODES[appearance.mode]) {
+        errors.push(`Unknown appearance mode: ${appearance.mode}`);
+    }
+    
+    const custom = appearance.custom;
+    if (!custom || typeof custom !== 'object') {
+        errors.push('appearance.custom is missing');
+        return errors;
+    }
+    if (!SKIN_ICONS.includes(custom.icon)) {
+        errors.push('appearance.custom.icon must be one of the skin icons');
+    }
+    if (!SKIN_FONTS.includes(custom.font)) {
+        errors.push(`Unknown heading font: ${custom.font}`);
+    }
+    if (!custom.palette || typeof custom.palette !== 'object') {
+        errors.push('appearance.custom.palette is missing');
+    } else {
+        Object.keys(SKINS.imperial.palette).forEach(colour => {
+            if (!isColour(custom.palette[colour])) {
+                errors.push(`appearance.custom.palette.${colour} must be a colour such as #c9a227`);
+            }
+        });
+    }
+    return errors;
+}
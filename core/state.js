@@ -0,0 +1,642 @@
+/**
+ * Space Hulk Tracker - State Store
+ * Game state and the definitions it is built from - no DOM access, app.js renders it
+ */
+
+// ============================================
+// Game State
+// ============================================
+
+const state = {
+    timer: {
+        minutes: 3,
+        seconds: 0,
+        isRunning: false,
+        endsAt: null,
+        intervalId: null,
+        defaultMinutes: 3,
+        alarmIntervalId: null,
+        warningsPlayed: [],
+        activePlayer: null,
+        activeSince: null,
+        elapsed: { marine: 0, genestealer: 0 },
+        playerClockIntervalId: null
+    },
+    turn: {
+        number: 1,
+        phase: 'genestealerReinforcement'
+    },
+    trackers: [
+        {
+            id: 'psychic',
+            name: 'Librarian Psychic Points',
+            defaultValue: 20,
+            value: 20,
+            settings: { min: 0, max: null, step: 1, lowThreshold: 3, zeroAlert: false },
+            removed: false
+        },
+        {
+            id: 'command',
+            name: 'Command Points',
+            defaultValue: 0,
+            value: 0,
+            settings: { min: 0, max: null, step: 1, lowThreshold: 3, zeroAlert: false },
+            removed: false
+        }
+    ],
+    weapons: {
+        cannon: { ammo: 10, defaultAmmo: 10, reloads: 1, maxReloads: 1, destroyed: false, markers: [], removed: false },
+        flamer: { ammo: 6, defaultAmmo: 6, reloads: 0, maxReloads: 0, destroyed: false, markers: [], removed: false }
+    },
+    blipPool: 20,
+    blipsEntered: 0,
+    players: {
+        twoPlayer: false,
+        chessClock: false,
+        tableTop: false,
+        // Player profile on each side, kept on this device with the turn times and results
+        profiles: { marine: null, genestealer: null }
+    },
+    roster: [],
+    nextMarineId: 1,
+    nextTrackerId: 1,
+    layout: {
+        order: ['turn', 'timer', 'genestealer', 'psychic', 'command', 'cannon', 'flamer', 'dice', 'roster'],
+        groups: [],
+        nextGroupId: 1
+    },
+    mission: null,
+    trackerSettings: {
+        cannon: { min: 0, max: null, step: 1, lowThreshold: 3, zeroAlert: false },
+        flamer: { min: 0, max: null, step: 1, lowThreshold: 3, zeroAlert: false }
+    },
+    alerts: createDefaultAlertSettings(),
+    bindings: createDefaultBindings(),
+    appearance: createDefaultAppearance(),
+    visibility: {
+        psychic: true,
+        cannon: true,
+        flamer: false,
+        command: true,
+        dice: true,
+        roster: true
+    },
+    // Sections hidden because their Marines died - reviving one brings back only these, never one the player hid
+    rosterHidden: []
+};
+
+// ============================================
+// Turn Structure
+// ============================================
+
+// Space Hulk turn sequence - only the Marine action phase runs against the clock
+const TURN_PHASES = [
+    { id: 'genestealerReinforcement', label: 'Genestealer Reinforcement', timed: false, side: 'genestealer' },
+    { id: 'marineCommand', label: 'Marine Command', timed: false, side: 'marine' },
+    { id: 'marineAction', label: 'Marine Action', timed: true, side: 'marine' },
+    { id: 'genestealerAction', label: 'Genestealer Action', timed: false, side: 'genestealer' },
+    { id: 'end', label: 'End Phase', timed: false, side: null }
+];
+
+/**
+ * Gets the definition of the current turn phase
+ * @returns {Object} Phase definition from TURN_PHASES
+ */
+function getCurrentPhase() {
+    return TURN_PHASES.find(p => p.id === state.turn.phase) || TURN_PHASES[0];
+}
+
+/**
+ * Checks whether the current phase is played against the turn timer
+ * @returns {boolean} True during the Marine action phase
+ */
+function isTimedPhase() {
+    return getCurrentPhase().timed;
+}
+
+// ============================================
+// Two-Player Mode
+// ============================================
+
+// Blips in the Genestealer reserve at the start of a game
+const DEFAULT_BLIP_POOL = 20;
+
+// Names of the two sides for the chess clock
+const PLAYER_SIDES = {
+    marine: 'Marine',
+    genestealer: 'Genestealer'
+};
+
+// ============================================
+// Tracker Settings
+// ============================================
+
+// Limits and alerts every tracker starts with
+const DEFAULT_TRACKER_SETTINGS = {
+    min: 0,
+    max: null,
+    step: 1,
+    lowThreshold: 3,
+    zeroAlert: false
+};
+
+/**
+ * Creates a settings object, filling in defaults
+ * @param {Object} overrides - Settings to use instead of the defaults
+ * @returns {Object} Tracker settings
+ */
+function createTrackerSettings(overrides = {}) {
+    return { ...DEFAULT_TRACKER_SETTINGS, ...overrides };
+}
+
+/**
+ * Gets the limits and alert settings of a tracker
+ * @param {string} type - Type of tracker (a registry tracker, weapon module, blips or blipsEntered)
+ * @returns {Object} Tracker settings
+ */
+function getTrackerSettings(type) {
+    const definition = getTrackerDefinition(type);
+    return (definition && definition.settings) || createTrackerSettings();
+}
+
+/**
+ * Clamps a value to a tracker's minimum and maximum
+ * @param {string} type - Type of tracker
+ * @param {number} value - Value to clamp
+ * @returns {number} Clamped value
+ */
+function clampTrackerValue(type, value) {
+    const settings = getTrackerSettings(type);
+    const clamped = Math.max(settings.min, value);
+    return settings.max === null ? clamped : Math.min(settings.max, clamped);
+}
+
+/**
+ * Checks whether a value lies within a tracker's minimum and maximum
+ * @param {number} value - Tracker value
+ * @param {Object} settings - Tracker settings
+ * @returns {boolean} True when within the limits
+ */
+function isWithinLimits(value, settings) {
+    return value >= settings.min && (settings.max === null || value <= settings.max);
+}
+
+// ============================================
+// Tracker Registry
+// ============================================
+
+// Counters every game starts with - custom trackers are added alongside them at runtime
+const BUILT_IN_TRACKERS = {
+    psychic: { name: 'Librarian Psychic Points', style: 'psychic', defaultValue: 20 },
+    command: { name: 'Command Points', style: 'command', defaultValue: 0 }
+};
+
+// Section style of trackers added by the player
+const CUSTOM_TRACKER_STYLE = 'custom';
+
+// Sections written into the page, and the blip counters shown inside the Genestealer panel
+const FIXED_TRACKERS = {
+    turn: { label: 'Game Turn', section: 'turnSection' },
+    timer: { label: 'Turn Timer', section: 'timerSection' },
+    genestealer: { label: 'Genestealer Player', section: 'genestealerSection', counters: ['blips', 'blipsEntered'] },
+    dice: { label: 'Dice Roller', section: 'diceSection', checkbox: 'menuDice' },
+    roster: { label: 'Squad Roster', section: 'rosterSection', checkbox: 'menuRoster' },
+    blips: { label: 'Blip Pool', points: 'blipsPoints', field: 'blipPool', defaultValue: DEFAULT_BLIP_POOL },
+    blipsEntered: { label: 'Blips Entered', points: 'blipsEnteredPoints', field: 'blipsEntered', defaultValue: 0 }
+};
+
+/**
+ * Looks up a tracker or board section - the one place that knows how each kind is named, stored and shown.
+ * Counters keep their value in store[field]; removable ones also keep a removed flag there.
+ * @param {string} key - Registry tracker ID, weapon module, FIXED_TRACKERS key
+ * @returns {Object|undefined} Definition, or undefined for an unknown key
+ */
+function getTrackerDefinition(key) {
+    const registered = getTracker(key);
+    if (registered) {
+        return {
+            label: registered.name,
+            section: `tracker-${key}`,
+            checkbox: `menuTracker-${key}`,
+            points: `points-${key}`,
+            store: registered,
+            field: 'value',
+            defaultValue: registered.defaultValue,
+            settings: registered.settings,
+            counters: [key],
+            removable: true,
+            deletable: !isBuiltInTracker(key)
+        };
+    }
+    if (WEAPON_MODULES[key]) {
+        const weapon = state.weapons[key];
+        return {
+            label: WEAPON_MODULES[key].label,
+            section: `${key}Section`,
+            checkbox: `menuWeapon-${key}`,
+            points: `${key}Points`,
+            store: weapon,
+            field: 'ammo',
+            defaultValue: weapon.defaultAmmo,
+            settings: state.trackerSettings[key],
+            counters: [key],
+            removable: true,
+            deletable: false,
+            weapon: true
+        };
+    }
+    const fixed = FIXED_TRACKERS[key];
+    if (!fixed) return undefined;
+    
+    const counter = Boolean(fixed.field);
+    return {
+        label: fixed.label,
+        section: fixed.section || null,
+        checkbox: fixed.checkbox || null,
+        points: fixed.points || null,
+        store: counter ? state : null,
+        field: fixed.field || null,
+        defaultValue: fixed.defaultValue,
+        settings: counter ? state.trackerSettings[key] : undefined,
+        counters: fixed.counters || (counter ? [key] : []),
+        removable: false,
+        deletable: false
+    };
+}
+
+/**
+ * Creates a registry tracker starting at its default value
+ * @param {string} id - Tracker ID (a BUILT_IN_TRACKERS key or custom-{number})
+ * @param {Object} definition - Name, default value and optional settings
+ * @returns {Object} Tracker
+ */
+function createTracker(id, { name, defaultValue, settings }) {
+    return {
+        id: id,
+        name: name,
+        defaultValue: defaultValue,
+        value: defaultValue,
+        settings: createTrackerSettings(settings),
+        removed: false
+    };
+}
+
+/**
+ * Creates the built-in trackers
+ * @param {Object} [defaults] - Starting values by tracker ID, in place of the built-in defaults
+ * @returns {Object[]} Trackers in their default order
+ */
+function createDefaultTrackers(defaults = {}) {
+    return Object.entries(BUILT_IN_TRACKERS).map(([id, definition]) => createTracker(id, {
+        ...definition,
+        defaultValue: defaults[id] ?? definition.defaultValue
+    }));
+}
+
+/**
+ * Finds a tracker in the registry
+ * @param {string} id - Tracker ID
+ * @returns {Object|undefined} Tracker
+ */
+function getTracker(id) {
+    return state.trackers.find(t => t.id === id);
+}
+
+/**
+ * Checks whether a tracker ID belongs to a built-in tracker, which can be removed but not deleted
+ * @param {string} id - Tracker ID
+ * @returns {boolean} True for a built-in tracker
+ */
+function isBuiltInTracker(id) {
+    return Object.keys(BUILT_IN_TRACKERS).includes(id);
+}
+
+/**
+ * Gets the value a tracker resets to - the game's starting value, within the tracker's limits
+ * @param {string} id - Tracker ID
+ * @returns {number|undefined} Default value, or undefined for an unknown tracker
+ */
+function getTrackerDefault(id) {
+    const definition = getTrackerDefinition(id);
+    if (!definition || !definition.store) return undefined;
+    return clampTrackerValue(id, definition.defaultValue);
+}
+
+/**
+ * Gets the current value of a tracker
+ * @param {string} type - Type of tracker (a registry tracker, weapon module, blips or blipsEntered)
+ * @returns {number|undefined} Current value, or undefined for an unknown tracker
+ */
+function getTrackerValue(type) {
+    const definition = getTrackerDefinition(type);
+    return definition && definition.store ? definition.store[definition.field] : undefined;
+}
+
+/**
+ * Checks whether a tracker has been removed from the board
+ * @param {string} key - Tracker ID
+ * @returns {boolean} True for a removed registry tracker or weapon module
+ */
+function isTrackerRemoved(key) {
+    const definition = getTrackerDefinition(key);
+    return Boolean(definition && definition.removable && definition.store.removed);
+}
+
+/**
+ * Sets the value of a tracker, clamped to its limits
+ * @param {string} type - Type of tracker (a registry tracker, weapon module, blips or blipsEntered)
+ * @param {number} value - New value
+ * @returns {number|undefined} Value set, or undefined for an unknown tracker
+ */
+function setTrackerValue(type, value) {
+    const definition = getTrackerDefinition(type);
+    if (!definition || !definition.store) return undefined;
+    
+    definition.store[definition.field] = clampTrackerValue(type, value);
+    return definition.store[definition.field];
+}
+
+// ============================================
+// Weapon Modules
+// ============================================
+
+// Built-in weapons with limited ammo - each gets its own tracker section, menu item and saved state
+const WEAPON_MODULES = {
+    cannon: {
+        name: 'Assault Cannon',
+        label: 'Assault Cannon Ammo',
+        ammo: 10,
+        reloads: 1,
+        rosterWeapon: 'assaultCannon'
+    },
+    flamer: {
+        name: 'Heavy Flamer',
+        label: 'Heavy Flamer Ammo',
+        ammo: 6,
+        // Only missions that allow it hand out a reload
+        reloads: 0,
+        rosterWeapon: 'heavyFlamer',
+        areaEffect: true
+    }
+};
+
+/**
+ * Creates the saved state of a weapon
+ * @param {string} id - Key of WEAPON_MODULES
+ * @param {number} [ammo] - Shots loaded, the weapon's full load if not given
+ * @param {number} [maxReloads] - Reloads carried, the weapon's default if not given
+ * @returns {Object} Weapon state
+ */
+function createWeaponState(id, ammo, maxReloads) {
+    const module = WEAPON_MODULES[id];
+    const reloads = maxReloads ?? module.reloads;
+    return {
+        ammo: ammo ?? module.ammo,
+        // Shots the game started with - what a reset gives back
+        defaultAmmo: ammo ?? module.ammo,
+        reloads: reloads,
+        maxReloads: reloads,
+        destroyed: false,
+        markers: [],
+        removed: false
+    };
+}
+
+/**
+ * Creates the state of every weapon, applying any mission loadout
+ * @param {Object} [defaults] - Starting ammo per weapon
+ * @param {Object} [reloads] - Reloads allowed per weapon
+ * @returns {Object} Weapon states keyed by weapon
+ */
+function createWeaponStates(defaults = {}, reloads = {}) {
+    const weapons = {};
+    Object.keys(WEAPON_MODULES).forEach(id => {
+        weapons[id] = createWeaponState(id, defaults[id], reloads[id]);
+    });
+    return weapons;
+}
+
+// ============================================
+// Squad Roster
+// ============================================
+
+// Terminator weapons - ranged weapons can be put on overwatch and jam
+const WEAPONS = {
+    stormBolter: { name: 'Storm Bolter', ranged: true },
+    assaultCannon: { name: 'Assault Cannon', ranged: true },
+    heavyFlamer: { name: 'Heavy Flamer', ranged: false },
+    thunderHammer: { name: 'Thunder Hammer & Storm Shield', ranged: false },
+    lightningClaws: { name: 'Lightning Claws', ranged: false },
+    powerSword: { name: 'Power Sword & Storm Bolter', ranged: true },
+    forceAxe: { name: 'Force Axe & Storm Bolter', ranged: true }
+};
+
+// ============================================
+// Board Layout
+// ============================================
+
+/**
+ * Lists the key of every section on the board in its default order
+ * @param {Object[]} [trackers] - Registry trackers, the current ones by default
+ * @returns {string[]} Section keys
+ */
+function getSectionKeys(trackers = state.trackers) {
+    return [
+        'turn', 'timer', 'genestealer',
+        ...trackers.map(t => t.id),
+        ...Object.keys(WEAPON_MODULES),
+        'dice', 'roster'
+    ];
+}
+
+/**
+ * Creates the default board layout - every section in its default order, no groups
+ * @param {Object[]} [trackers] - Registry trackers, the current ones by default
+ * @returns {Object} Layout
+ */
+function createDefaultLayout(trackers = state.trackers) {
+    return { order: getSectionKeys(trackers), groups: [], nextGroupId: 1 };
+}
+
+// ============================================
+// Sound & Alerts
+// ============================================
+
+/**
+ * Creates the default sound and alert settings
+ * @returns {Object} Alert settings
+ */
+function createDefaultAlertSettings() {
+    return {
+        muted: false,
+        warnings: [
+            { at: 60, unit: 'seconds', frequency: 880, beeps: 2, volume: 0.25 },
+            { at: 30, unit: 'seconds', frequency: 880, beeps: 3, volume: 0.25 }
+        ],
+        warningColorAt: 30,
+        dangerColorAt: 10,
+        alarmProfile: 'classic',
+        alarmVolume: 0.3,
+        spokenCountdown: false,
+        countdownFrom: 10
+    };
+}
+
+// ============================================
+// Input Bindings
+// ============================================
+
+/**
+ * Creates the default keyboard and gamepad bindings.
+ * Gamepads default to the face buttons and d-pad of the standard mapping.
+ * @returns {Object} Key code and gamepad button of each action, null when unbound
+ */
+function createDefaultBindings() {
+    return {
+        keyboard: {
+            toggleTimer: 'Space',
+            resetTimer: 'KeyR',
+            nextPhase: 'KeyN',
+            increase: 'ArrowUp',
+            decrease: 'ArrowDown',
+            previousTracker: 'ArrowLeft',
+            nextTracker: 'ArrowRight',
+            undo: 'KeyZ',
+            redo: 'KeyY',
+            selectTracker1: 'Digit1',
+            selectTracker2: 'Digit2',
+            selectTracker3: 'Digit3',
+            selectTracker4: 'Digit4',
+            selectTracker5: 'Digit5',
+            selectTracker6: 'Digit6',
+            selectTracker7: 'Digit7',
+            selectTracker8: 'Digit8',
+            selectTracker9: 'Digit9'
+        },
+        gamepad: {
+            toggleTimer: 0,
+            resetTimer: null,
+            nextPhase: 3,
+            increase: 12,
+            decrease: 13,
+            previousTracker: 14,
+            nextTracker: 15,
+            undo: null,
+            redo: null,
+            selectTracker1: null,
+            selectTracker2: null,
+            selectTracker3: null,
+            selectTracker4: null,
+            selectTracker5: null,
+            selectTracker6: null,
+            selectTracker7: null,
+            selectTracker8: null,
+            selectTracker9: null
+        }
+    };
+}
+
+// ============================================
+// Skins
+// ============================================
+
+// Board edition and chapter skins - each sets the accent colours, the header icon and the heading font
+const SKINS = {
+    imperial: {
+        name: 'Imperial (3rd Edition)',
+        group: 'edition',
+        icon: '☠',
+        font: 'Cinzel',
+        palette: { primary: '#c9a227', primaryDark: '#8b7355', secondary: '#8b0000', secondaryBright: '#cc0000' }
+    },
+    firstEdition: {
+        name: '1st Edition',
+        group: 'edition',
+        icon: '✠',
+        font: 'Oswald',
+        palette: { primary: '#e8c547', primaryDark: '#9c7f2a', secondary: '#1d3f7a', secondaryBright: '#2f6bd1' }
+    },
+    secondEdition: {
+        name: '2nd Edition',
+        group: 'edition',
+        icon: '⚔',
+        font: 'Oswald',
+        palette: { primary: '#d9c25b', primaryDark: '#7f7035', secondary: '#24512f', secondaryBright: '#3c8a4f' }
+    },
+    bloodAngels: {
+        name: 'Blood Angels',
+        group: 'chapter',
+        icon: '✠',
+        font: 'Cinzel',
+        palette: { primary: '#d4af37', primaryDark: '#8a6d1f', secondary: '#7a0a12', secondaryBright: '#d0202e' }
+    },
+    darkAngels: {
+        name: 'Dark Angels',
+        group: 'chapter',
+        icon: '⚔',
+        font: 'Cinzel',
+        palette: { primary: '#c8b88a', primaryDark: '#6b5d3f', secondary: '#0f3d1e', secondaryBright: '#23804a' }
+    },
+    spaceWolves: {
+        name: 'Space Wolves',
+        group: 'chapter',
+        icon: '❄',
+        font: 'Cinzel',
+        palette: { primary: '#d9b44a', primaryDark: '#7d6a3a', secondary: '#3d5366', secondaryBright: '#7fa3bf' }
+    },
+    ultramarines: {
+        name: 'Ultramarines',
+        group: 'chapter',
+        icon: 'Ω',
+        font: 'Cinzel',
+        palette: { primary: '#d4af37', primaryDark: '#86702d', secondary: '#0d2a6b', secondaryBright: '#2f6fe0' }
+    }
+};
+
+// Skin ID of the player's own palette, kept in state.appearance.custom
+const CUSTOM_SKIN = 'custom';
+
+// Headings in the skin select
+const SKIN_GROUPS = {
+    edition: 'Editions',
+    chapter: 'Chapters'
+};
+
+// Header icons and heading fonts a custom skin can use - only bundled fonts, so skins work offline
+const SKIN_ICONS = ['☠', '✠', '⚔', '☩', '❄', 'Ω', '⚜'];
+const SKIN_FONTS = ['Cinzel', 'Oswald'];
+
+// Light or dark page - system follows the device setting
+const APPEARANCE_MODES = {
+    dark: 'Dark',
+    light: 'Light',
+    system: 'Match Device'
+};
+
+/**
+ * Creates the default appearance - the Imperial skin in dark mode, with a custom skin to start editing from
+ * @returns {Object} Appearance settings
+ */
+function createDefaultAppearance() {
+    return {
+        skin: 'imperial',
+        mode: 'dark',
+        custom: {
+            icon: '☠',
+            font: 'Cinzel',
+            palette: { primary: '#c9a227', primaryDark: '#8b7355', secondary: '#8b0000', secondaryBright: '#cc0000' }
+        }
+    };
+}
+
+/**
+ * Gets the skin an appearance uses
+ * @param {Object} appearance - Appearance settings
+ * @returns {Object} Skin with its icon, font and palette
+ */
+function getSkin(appearance) {
+    if (appearance.skin === CUSTOM_SKIN) {
+        return appearance.custom;
+    }
+    return SKINS[appearance.skin] || SKINS.imperial;
+}
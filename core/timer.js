@@ -0,0 +1,137 @@
+/**
+ * Space Hulk Tracker - Turn Timer
+ * Countdown arithmetic against a replaceable clock - starting, stopping and drawing the timer stay in app.js
+ */
+
+// ============================================
+// Clock
+// ============================================
+
+// How often the running timer re-reads the clock (ms)
+const TIMER_TICK_INTERVAL = 250;
+
+// Handicap - the last HANDICAP_GAMES results of a player set their extra or reduced time, once there are HANDICAP_MIN_GAMES
+const HANDICAP_GAMES = 10;
+const HANDICAP_MIN_GAMES = 3;
+const HANDICAP_MAX_MINUTES = 2;
+
+// Seconds between screen reader announcements of the time left, and in the final minute
+const TIMER_ANNOUNCE_INTERVAL = 30;
+const TIMER_ANNOUNCE_FINAL_INTERVAL = 10;
+
+// Source of the current time for the timer - replaced by a fake clock in tests
+let clock = () => Date.now();
+
+/**
+ * Replaces the clock the timer reads, so tests can move time forward by hand
+ * @param {Function|null} now - Function returning epoch milliseconds, or null to go back to Date.now
+ */
+function setClock(now) {
+    clock = now || (() => Date.now());
+}
+
+// ============================================
+// Remaining Time
+// ============================================
+
+/**
+ * Gets the time left on the turn timer, measured from the deadline while running
+ * @returns {number} Remaining seconds
+ */
+function getRemainingSeconds() {
+    if (state.timer.isRunning && state.timer.endsAt !== null) {
+        return Math.max(0, Math.ceil((state.timer.endsAt - clock()) / 1000));
+    }
+    return state.timer.minutes * 60 + state.timer.seconds;
+}
+
+/**
+ * Stores a number of seconds as the displayed minutes and seconds
+ * @param {number} totalSeconds - Seconds left on the timer
+ */
+function setRemainingSeconds(totalSeconds) {
+    state.timer.minutes = Math.floor(totalSeconds / 60);
+    state.timer.seconds = totalSeconds % 60;
+}
+
+// ============================================
+// Warnings
+// ============================================
+
+/**
+ * Converts a warning point to seconds remaining
+ * @param {Object} warning - Warning with a value in seconds or percent of the turn
+ * @returns {number} Seconds remaining when the warning plays
+ */
+function getWarningSeconds(warning) {
+    if (warning.unit === 'percent') {
+        return Math.round(state.timer.defaultMinutes * 60 * warning.at / 100);
+    }
+    return warning.at;
+}
+
+/**
+ * Finds the warnings reached at a point in the turn that have not played yet
+ * @param {number} totalSeconds - Seconds remaining
+ * @returns {Object[]} Warnings due, in the order they are configured
+ */
+function getDueWarnings(totalSeconds) {
+    if (totalSeconds <= 0) return [];
+    
+    return state.alerts.warnings.filter(warning => {
+        const at = getWarningSeconds(warning);
+        return totalSeconds <= at && !state.timer.warningsPlayed.includes(at);
+    });
+}
+
+// ============================================
+// Announcements
+// ============================================
+
+/**
+ * Checks whether the time left should be read out to screen readers, so they hear the countdown without hearing every second
+ * @param {number} totalSeconds - Seconds remaining
+ * @returns {boolean} True on every half minute, then every ten seconds in the final minute
+ */
+function isAnnouncedTime(totalSeconds) {
+    if (totalSeconds <= 0) return false;
+    
+    const interval = totalSeconds <= 60 ? TIMER_ANNOUNCE_FINAL_INTERVAL : TIMER_ANNOUNCE_INTERVAL;
+    return totalSeconds % interval === 0;
+}
+
+// ============================================
+// Player Timing
+// ============================================
+
+/**
+ * Sums up the turn times recorded for a player
+ * @param {Object[]} turns - Recorded turns, each with the seconds used
+ * @returns {Object} Number of turns, and average and worst seconds used - null without turns
+ */
+function getTurnStats(turns) {
+    if (turns.length === 0) {
+        return { count: 0, average: null, worst: null };
+    }
+    
+    const seconds = turns.map(t => t.seconds);
+    return {
+        count: turns.length,
+        average: Math.round(seconds.reduce((sum, s) => sum + s, 0) / seconds.length),
+        worst: Math.max(...seconds)
+    };
+}
+
+/**
+ * Works out the change to a player's turn time from their recent wins - a player who wins every game loses the most time
+ * @param {Object[]} results - Game results, oldest first, each with won true or false
+ * @returns {number} Minutes to add, negative to take away
+ */
+function getHandicapMinutes(results) {
+    const recent = results.slice(-HANDICAP_GAMES);
+    if (recent.length < HANDICAP_MIN_GAMES) return 0;
+    
+    const winRate = recent.filter(r => r.won).length / recent.length;
+    // Winning half the games leaves the time as it is
+    return Math.round((0.5 - winRate) * 2 * HANDICAP_MAX_MINUTES);
+}
@@ -0,0 +1,464 @@
+/**
+ * Space Hulk Tracker - QR Code Generator
+ * Encodes text as a QR code (byte mode, error correction level M) entirely on the device
+ */
+
+const QrCode = (function() {
+    // Error correction codewords per block and number of blocks for level M, indexed by version (1-40)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+    ];
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+    ];
+    
+    // Format information bits for level M
+    const ECC_FORMAT_BITS = 0;
+    
+    // Penalty weights from the QR code specification
+    const PENALTY_RUN = 3;
+    const PENALTY_BLOCK = 3;
+    const PENALTY_FINDER = 40;
+    const PENALTY_BALANCE = 10;
+
+    /**
+     * Counts the modules available for data and error correction in a version
+     * @param {number} version - QR version (1-40)
+     * @returns {number} Number of modules
+     */
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Counts the data codewords a version can hold
+     * @param {number} version - QR version (1-40)
+     * @returns {number} Number of 8-bit data codewords
+     */
+    function getNumDataCodewords(version) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+    }
+
+    /**
+     * Multiplies two numbers in GF(2^8) modulo the QR polynomial
+     * @param {number} x - First factor
+     * @param {number} y - Second factor
+     * @returns {number} Product
+     */
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Computes the Reed-Solomon generator polynomial
+     * @param {number} degree - Number of error correction codewords
+     * @returns {number[]} Polynomial coefficients, highest power first (leading 1 omitted)
+     */
+    function computeDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * Computes the Reed-Solomon error correction codewords for a block
+     * @param {number[]} data - Data codewords
+     * @param {number[]} divisor - Generator polynomial
+     * @returns {number[]} Error correction codewords
+     */
+    function computeRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= multiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Splits data into blocks, adds error correction and interleaves the result
+     * @param {number[]} data - Data codewords
+     * @param {number} version - QR version
+     * @returns {number[]} Final codewords
+     */
+    function addEccAndInterleave(data, version) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = computeDivisor(blockEccLen);
+        
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(k, k + dataLen);
+            k += dataLen;
+            const ecc = computeRemainder(block, divisor);
+            // Pad short blocks so every block has the same length while interleaving
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+        
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Builds the data codewords for text in byte mode
+     * @param {number[]} bytes - UTF-8 bytes of the text
+     * @param {number} version - QR version
+     * @returns {number[]} Data codewords padded to the version's capacity
+     */
+    function buildDataCodewords(bytes, version) {
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        appendBits(0x4, 4);
+        appendBits(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => appendBits(b, 8));
+        
+        const capacityBits = getNumDataCodewords(version) * 8;
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    /**
+     * Gets the centre positions of the alignment patterns
+     * @param {number} version - QR version
+     * @returns {number[]} Row/column positions
+     */
+    function getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+        
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    /**
+     * Creates the module grid with every function pattern drawn
+     * @param {number} version - QR version
+     * @returns {Object} Grid with size, modules and isFunction matrices
+     */
+    function createGrid(version) {
+        const size = version * 4 + 17;
+        const grid = {
+            size: size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+        const setFunction = (x, y, dark) => {
+            grid.modules[y][x] = dark;
+            grid.isFunction[y][x] = true;
+        };
+        
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+        
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                        setFunction(x + dx, y + dy, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        });
+        
+        // Alignment patterns, skipping the three that would overlap finder patterns
+        const positions = getAlignmentPatternPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+        
+        // Reserve the format areas; the real bits are drawn once the mask is known
+        drawFormatBits(grid, 0, setFunction);
+        
+        // Version information
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) {
+                rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            }
+            const bits = version << 12 | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, dark);
+                setFunction(b, a, dark);
+            }
+        }
+        
+        return grid;
+    }
+
+    /**
+     * Draws both copies of the format information
+     * @param {Object} grid - Module grid
+     * @param {number} mask - Mask pattern (0-7)
+     * @param {Function} setFunction - Setter for function modules
+     */
+    function drawFormatBits(grid, mask, setFunction) {
+        const data = ECC_FORMAT_BITS << 3 | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = (data << 10 | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const size = grid.size;
+        
+        for (let i = 0; i <= 5; i++) {
+            setFunction(8, i, bit(i));
+        }
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            setFunction(14 - i, 8, bit(i));
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            setFunction(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            setFunction(8, size - 15 + i, bit(i));
+        }
+        setFunction(8, size - 8, true);
+    }
+
+    /**
+     * Places the codewords in the zig-zag pattern
+     * @param {Object} grid - Module grid
+     * @param {number[]} codewords - Final codewords
+     */
+    function drawCodewords(grid, codewords) {
+        const size = grid.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5;
+            }
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!grid.isFunction[y][x] && i < codewords.length * 8) {
+                        grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies a mask pattern to the data modules (applying it twice undoes it)
+     * @param {Object} grid - Module grid
+     * @param {number} mask - Mask pattern (0-7)
+     */
+    function applyMask(grid, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        for (let y = 0; y < grid.size; y++) {
+            for (let x = 0; x < grid.size; x++) {
+                if (!grid.isFunction[y][x] && patterns[mask](x, y)) {
+                    grid.modules[y][x] = !grid.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Scores a grid - lower penalties scan more reliably
+     * @param {Object} grid - Module grid
+     * @returns {number} Penalty score
+     */
+    function getPenaltyScore(grid) {
+        const size = grid.size;
+        const modules = grid.modules;
+        const finderLike = [true, false, true, true, true, false, true];
+        let result = 0;
+        let dark = 0;
+        
+        const scoreLine = get => {
+            let runColor = null;
+            let runLength = 0;
+            for (let i = 0; i < size; i++) {
+                const color = get(i);
+                if (color === runColor) {
+                    runLength++;
+                    if (runLength === 5) {
+                        result += PENALTY_RUN;
+                    } else if (runLength > 5) {
+                        result++;
+                    }
+                } else {
+                    runColor = color;
+                    runLength = 1;
+                }
+                
+                // 1:1:3:1:1 finder-like pattern with four light modules on either side
+                if (i >= 6 && finderLike.every((c, k) => get(i - 6 + k) === c)) {
+                    const lightBefore = [1, 2, 3, 4].every(k => i - 6 - k < 0 || !get(i - 6 - k));
+                    const lightAfter = [1, 2, 3, 4].every(k => i + k >= size || !get(i + k));
+                    if (lightBefore || lightAfter) {
+                        result += PENALTY_FINDER;
+                    }
+                }
+            }
+        };
+        
+        for (let i = 0; i < size; i++) {
+            scoreLine(x => modules[i][x]);
+            scoreLine(y => modules[y][i]);
+        }
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) {
+                    dark++;
+                }
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        result += PENALTY_BLOCK;
+                    }
+                }
+            }
+        }
+        
+        // Penalise every 5% the dark modules stray from half
+        const total = size * size;
+        result += Math.floor(Math.abs(dark * 20 - total * 10) / total) * PENALTY_BALANCE;
+        return result;
+    }
+
+    /**
+     * Encodes text as a QR code
+     * @param {string} text - Text to encode
+     * @returns {Object} QR code with its size and a matrix of dark (true) modules
+     */
+    function encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        
+        let version = 1;
+        while (version <= 40) {
+            const headerBits = 4 + (version <= 9 ? 8 : 16);
+            if (headerBits + bytes.length * 8 <= getNumDataCodewords(version) * 8) break;
+            version++;
+        }
+        if (version > 40) {
+            throw new RangeError('Text too long for a QR code');
+        }
+        
+        const grid = createGrid(version);
+        drawCodewords(grid, addEccAndInterleave(buildDataCodewords(bytes, version), version));
+        
+        const setFunction = (x, y, dark) => {
+            grid.modules[y][x] = dark;
+        };
+        let bestMask = 0;
+        let bestScore = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(grid, mask);
+            drawFormatBits(grid, mask, setFunction);
+            const score = getPenaltyScore(grid);
+            if (score < bestScore) {
+                bestMask = mask;
+                bestScore = score;
+            }
+            applyMask(grid, mask);
+        }
+        applyMask(grid, bestMask);
+        drawFormatBits(grid, bestMask, setFunction);
+        
+        return {
+            version: version,
+            size: grid.size,
+            modules: grid.modules
+        };
+    }
+
+    return { encode: encode };
+})();
@@ -0,0 +1,384 @@
+/**
+ * Space Hulk Tracker - Sync Relay
+ * Serves the app and passes sync messages between the devices at the table.
+ * Runs on any laptop on the same network with plain Node - no packages, no internet.
+ *
+ *     node relay/server.js [port]
+ *
+ * Then open http://<laptop address>:<port> on the host tablet and the player phones.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Port the relay listens on unless one is given on the command line
+const DEFAULT_PORT = 8080;
+
+// Path the app connects to for sync - everything else is a file of the app
+const SYNC_PATH = '/sync';
+
+// Folder the app is served from
+const APP_ROOT = path.join(__dirname, '..');
+
+// Files the relay will serve, by extension
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.woff2': 'font/woff2'
+};
+
+// Fixed key from the WebSocket protocol used to answer the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// WebSocket frame types
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// Largest message accepted from a device - a full game snapshot is well under this (bytes)
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+// How often devices are pinged - phones that went to sleep without closing are dropped (ms)
+const HEARTBEAT_INTERVAL = 30000;
+
+// Devices connected to the relay
+const peers = new Set();
+
+// ============================================
+// Static Files
+// ============================================
+
+/**
+ * Reads the decoded path of a request
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {string|null} Path, or null when the URL is malformed
+ */
+function getRequestPath(request) {
+    try {
+        return decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Serves a file of the app
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Response to write
+ */
+function serveFile(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' });
+        response.end();
+        return;
+    }
+    
+    const pathname = getRequestPath(request);
+    if (pathname === null) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    
+    const filePath = path.join(APP_ROOT, pathname === '/' ? 'index.html' : pathname);
+    const contentType = CONTENT_TYPES[path.extname(filePath)];
+    
+    // Only files of the app, never anything outside its folder
+    if (!contentType || !filePath.startsWith(APP_ROOT + path.sep)) {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+    
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+        response.end(request.method === 'HEAD' ? undefined : content);
+    });
+}
+
+// ============================================
+// WebSocket Connections
+// ============================================
+
+/**
+ * Accepts a WebSocket connection from a device
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Connection to the device
+ */
+function acceptConnection(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (getRequestPath(request) !== SYNC_PATH || !key ||
+        (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    
+    const peer = {
+        socket: socket,
+        role: null,
+        client: null,
+        alive: true,
+        buffer: Buffer.alloc(0),
+        fragments: []
+    };
+    peers.add(peer);
+    
+    socket.on('data', data => {
+        peer.buffer = Buffer.concat([peer.buffer, data]);
+        readFrames(peer);
+    });
+    socket.on('close', () => removePeer(peer));
+    socket.on('error', e => {
+        // Phones often drop the connection after saying goodbye
+        if (peers.has(peer)) {
+            console.warn(`Connection to ${describePeer(peer)} failed:`, e.message);
+            removePeer(peer);
+        }
+    });
+}
+
+/**
+ * Reads every complete frame waiting in a device's buffer
+ * @param {Object} peer - Connected device
+ */
+function readFrames(peer) {
+    while (peer.buffer.length >= 2) {
+        const buffer = peer.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        
+        // Browsers always mask what they send
+        if (!masked || length > MAX_MESSAGE_SIZE) {
+            closeConnection(peer, 1009);
+            return;
+        }
+        if (buffer.length < offset + 4 + length) return;
+        
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        peer.buffer = buffer.subarray(offset + 4 + length);
+        
+        handleFrame(peer, opcode, fin, payload);
+        if (peer.socket.destroyed) return;
+    }
+}
+
+/**
+ * Acts on one frame from a device
+ * @param {Object} peer - Connected device
+ * @param {number} opcode - Frame type
+ * @param {boolean} fin - Whether this frame ends the message
+ * @param {Buffer} payload - Unmasked frame content
+ */
+function handleFrame(peer, opcode, fin, payload) {
+    switch (opcode) {
+        case OPCODES.text:
+        case OPCODES.binary:
+        case OPCODES.continuation:
+            peer.fragments.push(payload);
+            if (fin) {
+                const message = Buffer.concat(peer.fragments).toString('utf8');
+                peer.fragments = [];
+                handleMessage(peer, message);
+            }
+            break;
+        case OPCODES.ping:
+            sendFrame(peer, OPCODES.pong, payload);
+            break;
+        case OPCODES.pong:
+            peer.alive = true;
+            break;
+        case OPCODES.close:
+            closeConnection(peer, 1000);
+            break;
+    }
+}
+
+/**
+ * Sends one frame to a device
+ * @param {Object} peer - Connected device
+ * @param {number} opcode - Frame type
+ * @param {Buffer} payload - Frame content
+ */
+function sendFrame(peer, opcode, payload) {
+    if (peer.socket.destroyed) return;
+    
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    peer.socket.write(Buffer.concat([header, payload]));
+}
+
+/**
+ * Closes the connection to a device
+ * @param {Object} peer - Connected device
+ * @param {number} code - WebSocket close code
+ */
+function closeConnection(peer, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    sendFrame(peer, OPCODES.close, payload);
+    peer.socket.end();
+    removePeer(peer);
+}
+
+/**
+ * Forgets a device that has gone, and tells the others
+ * @param {Object} peer - Device that disconnected
+ */
+function removePeer(peer) {
+    if (!peers.delete(peer)) return;
+    
+    if (peer.role) {
+        console.log(`${describePeer(peer)} left`);
+        announcePeers();
+    }
+}
+
+/**
+ * Names a device for the console
+ * @param {Object} peer - Connected device
+ * @returns {string} Role and id of the device
+ */
+function describePeer(peer) {
+    return peer.role ? `${peer.role} ${peer.client}` : 'device';
+}
+
+/**
+ * Pings every device, dropping those that did not answer the last ping
+ */
+function checkHeartbeats() {
+    peers.forEach(peer => {
+        if (!peer.alive) {
+            peer.socket.destroy();
+            removePeer(peer);
+            return;
+        }
+        peer.alive = false;
+        sendFrame(peer, OPCODES.ping, Buffer.alloc(0));
+    });
+}
+
+// ============================================
+// Relay
+// ============================================
+
+/**
+ * Handles a message from a device - joins are kept by the relay, everything else goes to the other devices
+ * @param {Object} peer - Device that sent the message
+ * @param {string} text - Message text
+ */
+function handleMessage(peer, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        console.warn(`Ignored unreadable message from ${describePeer(peer)}`);
+        return;
+    }
+    
+    if (message.type === 'join') {
+        peer.role = message.role === 'host' ? 'host' : 'player';
+        peer.client = String(message.client || '').slice(0, 32);
+        console.log(`${describePeer(peer)} joined`);
+        announcePeers();
+        return;
+    }
+    
+    // Devices must say who they are before they take part
+    if (!peer.role) return;
+    
+    peers.forEach(other => {
+        if (other !== peer && other.role) {
+            sendFrame(other, OPCODES.text, Buffer.from(text, 'utf8'));
+        }
+    });
+}
+
+/**
+ * Tells every device how many devices are connected and whether the host is one of them
+ */
+function announcePeers() {
+    const joined = [...peers].filter(peer => peer.role);
+    const message = Buffer.from(JSON.stringify({
+        type: 'peers',
+        devices: joined.length,
+        host: joined.some(peer => peer.role === 'host')
+    }), 'utf8');
+    joined.forEach(peer => sendFrame(peer, OPCODES.text, message));
+}
+
+/**
+ * Lists the addresses other devices on the network can reach this one on
+ * @returns {string[]} IPv4 addresses
+ */
+function getNetworkAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+const port = parseInt(process.argv[2]) || DEFAULT_PORT;
+const server = http.createServer(serveFile);
+server.on('upgrade', acceptConnection);
+server.listen(port, () => {
+    console.log(`Space Hulk Tracker relay listening on port ${port}`);
+    getNetworkAddresses().forEach(address => console.log(`  http://${address}:${port}`));
+});
+setInterval(checkHeartbeats, HEARTBEAT_INTERVAL).unref();
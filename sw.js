@@ -0,0 +1,88 @@
+/**
+ * Space Hulk Tracker - Service Worker
+ * Precaches the app so it can be installed and played without a signal
+ */
+
+// Bump on every deployment - the new version installs alongside the old one and takes over when the player reloads
+const CACHE_VERSION = 'space-hulk-tracker-v9';
+
+// The app and its bundled fonts - installing fails without any of these
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'core/state.js',
+    'core/timer.js',
+    'core/audio.js',
+    'core/persistence.js',
+    'app.js',
+    'qrcode.js',
+    'manifest.webmanifest',
+    'fonts/fonts.css',
+    'fonts/cinzel.woff2',
+    'fonts/oswald.woff2',
+    'fonts/material-symbols-outlined.woff2',
+    'icons/icon.svg',
+    'icons/icon-180.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    event.respondWith(respondFromCache(request));
+});
+
+// The page asks a waiting version to take over once the player accepts the update
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Stores the app and its fonts in the cache for this version
+ * @returns {Promise} Settles once everything is stored
+ */
+function precache() {
+    return caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES));
+}
+
+/**
+ * Deletes the caches of earlier versions
+ * @returns {Promise} Settles once they are gone
+ */
+function removeOldCaches() {
+    return caches.keys().then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+    ));
+}
+
+/**
+ * Answers a request from the cache, falling back to the network
+ * @param {Request} request - Same-origin GET request
+ * @returns {Promise<Response>} Cached or fetched response
+ */
+function respondFromCache(request) {
+    return caches.match(request, { ignoreSearch: true }).then(cached => {
+        if (cached) return cached;
+        
+        return fetch(request).catch(e => {
+            // Opening the app offline - including from a shared game link - gets the cached page
+            if (request.mode === 'navigate') {
+                return caches.match('index.html');
+            }
+            throw e;
+        });
+    });
+}
@@ -0,0 +1,230 @@
+/**
+ * Space Hulk Tracker - Core Tests
+ * The scripts under core/ run on their own, with no page around them
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, copy } = require('./harness');
+
+let core = null;
+
+beforeEach(() => {
+    core = loadCore();
+});
+
+describe('core/state.js', () => {
+    test('the core scripts need no browser', () => {
+        assert.equal(core.run('typeof window'), 'undefined');
+        assert.equal(core.run('typeof document'), 'undefined');
+        assert.equal(core.run('typeof localStorage'), 'undefined');
+    });
+    
+    test('clampTrackerValue keeps a value within the minimum and maximum', () => {
+        core.run("getTracker('command').settings = createTrackerSettings({ min: 1, max: 4 })");
+        
+        assert.equal(core.run("clampTrackerValue('command', 10)"), 4);
+        assert.equal(core.run("clampTrackerValue('command', -3)"), 1);
+        assert.equal(core.run("clampTrackerValue('command', 2)"), 2);
+        assert.equal(core.run("clampTrackerValue('psychic', 500)"), 500);
+    });
+    
+    test('setTrackerValue stores the clamped value in the right place', () => {
+        core.run('state.trackerSettings.cannon.max = 5');
+        
+        assert.equal(core.run("setTrackerValue('cannon', 8)"), 5);
+        assert.equal(core.run('state.weapons.cannon.ammo'), 5);
+        assert.equal(core.run("setTrackerValue('psychic', -2)"), 0);
+        assert.equal(core.run("getTracker('psychic').value"), 0);
+        assert.equal(core.run("setTrackerValue('blips', 7)"), 7);
+        assert.equal(core.run('state.blipPool'), 7);
+        assert.equal(core.run("setTrackerValue('turn', 3)"), undefined);
+        assert.equal(core.run("setTrackerValue('unknown', 3)"), undefined);
+    });
+    
+    test('getTrackerDefault is the starting value within the limits', () => {
+        core.run("getTracker('psychic').settings.max = 8");
+        
+        assert.equal(core.run("getTrackerDefault('psychic')"), 8);
+        assert.equal(core.run("getTrackerDefault('cannon')"), 10);
+        assert.equal(core.run("getTrackerDefault('dice')"), undefined);
+    });
+});
+
+describe('core/persistence.js', () => {
+    test('the current game saves as valid data', () => {
+        const data = core.run('getSaveData()');
+        assert.equal(data.schemaVersion, core.run('SAVE_SCHEMA_VERSION'));
+        assert.deepEqual(copy(core.run('validateSaveData(getSaveData())')), []);
+    });
+    
+    test('current data passes through migration unchanged', () => {
+        const data = copy(core.run('getSaveData()'));
+        assert.deepEqual(copy(core.run(`migrateSaveData(${JSON.stringify(data)})`)), data);
+    });
+    
+    test('a save from before schema versions migrates to valid data', () => {
+        core.context.legacy = {
+            timer: { minutes: 2, seconds: 15, defaultMinutes: 3 },
+            psychicPoints: 12,
+            cannonPoints: 4,
+            commandPoints: 2,
+            customTrackers: [{ id: 1, name: 'Objectives', value: 3, defaultValue: 3 }],
+            nextTrackerId: 2,
+            showLibrarian: false
+        };
+        const migrated = copy(core.run('migrateSaveData(legacy)'));
+        
+        assert.deepEqual(copy(core.run(`validateSaveData(${JSON.stringify(migrated)})`)), []);
+        assert.equal(migrated.schemaVersion, core.run('SAVE_SCHEMA_VERSION'));
+        assert.equal('showLibrarian' in migrated, false);
+        assert.equal(migrated.visibility.psychic, false);
+        assert.equal('librarian' in migrated.visibility, false);
+        assert.equal(migrated.visibility['custom-1'], true);
+        assert.deepEqual(migrated.trackers.map(t => [t.id, t.value]), [['psychic', 12], ['command', 2], ['custom-1', 3]]);
+        assert.equal(migrated.weapons.cannon.ammo, 4);
+        assert.equal(migrated.weapons.cannon.defaultAmmo, 10);
+    });
+    
+    test('a legacy save that shows the Librarian keeps it shown', () => {
+        const migrated = copy(core.run('migrateSaveData({ showLibrarian: true, nextTrackerId: 1 })'));
+        assert.equal(migrated.visibility.psychic, true);
+        assert.deepEqual(copy(core.run(`validateSaveData(${JSON.stringify(migrated)})`)), []);
+    });
+    
+    test('validation reports values outside their limits', () => {
+        const data = copy(core.run('getSaveData()'));
+        data.trackers[1].settings.max = 3;
+        data.trackers[1].value = 5;
+        data.trackerSettings.cannon.max = 5;
+        
+        const errors = copy(core.run(`validateSaveData(${JSON.stringify(data)})`));
+        assert.deepEqual(errors, ['trackers[1].value 5 is outside its limits', 'cannon value 10 is outside its limits']);
+    });
+    
+    test('parseSaveData throws a SaveDataError listing the problems', () => {
+        assert.throws(() => core.run("parseSaveData('not json')"), error => {
+            assert.equal(error.name, 'SaveDataError');
+            assert.deepEqual(copy(error.errors), ['The file is not valid JSON']);
+            return true;
+        });
+        assert.throws(() => core.run("parseSaveData('{\"nextTrackerId\": 0}')"), { name: 'SaveDataError' });
+    });
+});
+
+describe('core/timer.js', () => {
+    test('getRemainingSeconds counts down from the deadline on the clock given to setClock', () => {
+        core.run('var now = 1000; setClock(() => now)');
+        core.run('state.timer.isRunning = true; state.timer.endsAt = 1000 + 180 * 1000');
+        
+        assert.equal(core.run('getRemainingSeconds()'), 180);
+        core.run('now += 500');
+        assert.equal(core.run('getRemainingSeconds()'), 180);
+        core.run('now += 500');
+        assert.equal(core.run('getRemainingSeconds()'), 179);
+        core.run('now += 200 * 1000');
+        assert.equal(core.run('getRemainingSeconds()'), 0);
+    });
+    
+    test('a paused timer reads the time shown, whatever the clock says', () => {
+        core.run('setClock(() => 0)');
+        core.run('state.timer.isRunning = false; state.timer.endsAt = null; setRemainingSeconds(75)');
+        
+        assert.equal(core.run('getRemainingSeconds()'), 75);
+        assert.deepEqual([core.run('state.timer.minutes'), core.run('state.timer.seconds')], [1, 15]);
+    });
+    
+    test('setClock(null) goes back to the real time', () => {
+        core.run('setClock(() => 0); setClock(null)');
+        core.run('state.timer.isRunning = true; state.timer.endsAt = Date.now() + 60 * 1000');
+        
+        assert.equal(core.run('getRemainingSeconds()'), 60);
+    });
+    
+    test('getDueWarnings lists each warning once it is reached', () => {
+        assert.deepEqual(copy(core.run('getDueWarnings(90)')), []);
+        assert.deepEqual(copy(core.run('getDueWarnings(60).map(w => w.at)')), [60]);
+        assert.deepEqual(copy(core.run('getDueWarnings(25).map(w => w.at)')), [60, 30]);
+    });
+    
+    test('getDueWarnings skips warnings already played and the end of the turn', () => {
+        core.run('state.timer.warningsPlayed = [60]');
+        
+        assert.deepEqual(copy(core.run('getDueWarnings(25).map(w => w.at)')), [30]);
+        assert.deepEqual(copy(core.run('getDueWarnings(0)')), []);
+    });
+    
+    test('getDueWarnings turns percent warnings into seconds of the turn', () => {
+        core.run("state.alerts.warnings = [{ at: 50, unit: 'percent', frequency: 880, beeps: 1, volume: 0.25 }]");
+        core.run('state.timer.defaultMinutes = 4');
+        
+        assert.deepEqual(copy(core.run('getDueWarnings(121)')), []);
+        assert.equal(core.run('getDueWarnings(120).length'), 1);
+    });
+});
+
+describe('core/audio.js', () => {
+    /**
+     * Creates a stand-in audio context that records what is scheduled on it
+     * @param {number} currentTime - Time the context reports (seconds)
+     * @returns {Object} Context, with the beeps scheduled on it in beeps
+     */
+    function createRecordingContext(currentTime) {
+        const beeps = [];
+        const param = name => ({
+            setValueAtTime(value) {
+                if (name === 'frequency') beeps.at(-1).frequency = value;
+            },
+            linearRampToValueAtTime(value) {
+                beeps.at(-1).volume = value;
+            },
+            exponentialRampToValueAtTime() {}
+        });
+        
+        return {
+            beeps,
+            currentTime,
+            destination: {},
+            createOscillator() {
+                beeps.push({});
+                return {
+                    type: '',
+                    frequency: param('frequency'),
+                    connect() {},
+                    start(time) { beeps.at(-1).start = time; },
+                    stop(time) { beeps.at(-1).stop = time; }
+                };
+            },
+            createGain: () => ({ gain: param('gain'), connect() {} })
+        };
+    }
+    
+    test('scheduleBeeps spaces the beeps from the context time', () => {
+        core.context.audio = createRecordingContext(2);
+        core.run('scheduleBeeps(audio, 3, 0.1, 0.5, 0.4)');
+        
+        assert.deepEqual(core.context.audio.beeps, [
+            { frequency: 880, volume: 0.4, start: 2, stop: 2.1 },
+            { frequency: 880, volume: 0.4, start: 2.5, stop: 2.6 },
+            { frequency: 880, volume: 0.4, start: 3, stop: 3.1 }
+        ]);
+    });
+    
+    test('scheduleBeeps plays at the tone and delay given', () => {
+        core.context.audio = createRecordingContext(0);
+        core.run('scheduleBeeps(audio, 2, 0.2, 0.3, 0.5, 440, 1)');
+        
+        assert.deepEqual(core.context.audio.beeps.map(b => [b.frequency, b.start]), [[440, 1], [440, 1.3]]);
+    });
+    
+    test('every alarm profile can be scheduled', () => {
+        const profiles = copy(core.run('ALARM_PROFILES'));
+        Object.values(profiles).forEach(profile => {
+            core.context.audio = createRecordingContext(0);
+            profile.patterns.forEach(p => {
+                core.run(`scheduleBeeps(audio, ${p.beeps}, ${p.duration}, ${p.interval}, 0.3, ${p.frequency}, ${p.delay})`);
+            });
+            assert.equal(core.context.audio.beeps.length, profile.patterns.reduce((sum, p) => sum + p.beeps, 0));
+        });
+    });
+});
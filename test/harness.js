@@ -0,0 +1,135 @@
+/**
+ * Space Hulk Tracker - Test Harness
+ * Loads the app into jsdom the way index.html loads it in a browser, with fake timers in place of the real clock,
+ * or the core scripts on their own with no page at all
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const FakeTimers = require('@sinonjs/fake-timers');
+
+// Folder the app is served from
+const APP_ROOT = path.join(__dirname, '..');
+
+// Wall-clock time every test starts at, so saved deadlines are the same on every run (epoch ms)
+const START_TIME = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+/**
+ * Lists the scripts index.html loads, in order
+ * @returns {string[]} Script paths relative to the app folder
+ */
+function getAppScripts() {
+    const html = fs.readFileSync(path.join(APP_ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+}
+
+/**
+ * Stands in for the Web Audio API, counting the beeps played
+ * @param {Window} window - Window to install it on
+ * @returns {Object} Played beeps - { count }
+ */
+function installAudio(window) {
+    const beeps = { count: 0 };
+    const param = () => ({ setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {} });
+    
+    window.AudioContext = function () {
+        return {
+            currentTime: 0,
+            destination: {},
+            resume() {},
+            createOscillator: () => ({ type: '', frequency: param(), connect() {}, start() { beeps.count++; }, stop() {} }),
+            createGain: () => ({ gain: param(), connect() {} })
+        };
+    };
+    return beeps;
+}
+
+/**
+ * Loads the app into a fresh page
+ * @param {Object} [options] - Page options
+ * @param {Object} [options.storage] - localStorage entries the page starts with, as left by an earlier page
+ * @param {number} [options.now] - Wall-clock time the page opens at (epoch ms)
+ * @returns {Promise<Object>} Page - run evaluates app code, clock drives the fake timers, storage copies localStorage
+ */
+function loadApp({ storage = {}, now = START_TIME } = {}) {
+    const html = fs.readFileSync(path.join(APP_ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="[^"]+"><\/script>/g, '');
+    const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+    const window = dom.window;
+    const context = dom.getInternalVMContext();
+    
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    window.HTMLCanvasElement.prototype.getContext = () => null;
+    const beeps = installAudio(window);
+    const clock = FakeTimers.withGlobal(window).install({
+        now: now,
+        toFake: ['Date', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval']
+    });
+    
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args.map(String).join(' '));
+    
+    getAppScripts().forEach(src => {
+        const file = path.join(APP_ROOT, src);
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+    
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => {
+            resolve({
+                window,
+                clock,
+                beeps,
+                warnings,
+                run: source => vm.runInContext(source, context),
+                storage: () => Object.fromEntries(Object.keys(window.localStorage).map(key => [key, window.localStorage.getItem(key)])),
+                close: () => {
+                    clock.uninstall();
+                    window.close();
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Loads the core scripts into a bare context - no window, document, storage or timers
+ * @returns {Object} Core - run evaluates code in the context, context holds its globals
+ */
+function loadCore() {
+    const context = vm.createContext({ console });
+    
+    getAppScripts().filter(src => src.startsWith('core/')).forEach(src => {
+        const file = path.join(APP_ROOT, src);
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+    
+    return {
+        context,
+        run: source => vm.runInContext(source, context)
+    };
+}
+
+/**
+ * Copies a value made inside a page or context into the tests' own realm, so deepEqual can compare it
+ * @param {*} value - Plain data from run
+ * @returns {*} Copy of the value
+ */
+function copy(value) {
+    return structuredClone(value);
+}
+
+/**
+ * Shows or hides the page, as locking the phone or switching apps does
+ * @param {Object} page - Page from loadApp
+ * @param {boolean} hidden - Whether the page is hidden
+ */
+function setPageHidden(page, hidden) {
+    Object.defineProperty(page.window.document, 'hidden', { value: hidden, configurable: true });
+    Object.defineProperty(page.window.document, 'visibilityState', { value: hidden ? 'hidden' : 'visible', configurable: true });
+    page.window.document.dispatchEvent(new page.window.Event('visibilitychange'));
+}
+
+module.exports = { loadApp, loadCore, copy, setPageHidden, START_TIME };
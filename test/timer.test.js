@@ -0,0 +1,203 @@
+/**
+ * Space Hulk Tracker - Timer Tests
+ * The turn timer counting down against its deadline, on fake timers
+ */
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, setPageHidden, START_TIME } = require('./harness');
+
+let page = null;
+
+afterEach(() => {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+/**
+ * Moves the game to the Marine action phase and starts the timer
+ */
+function startTurn() {
+    page.run("state.turn.phase = TURN_PHASES.find(p => p.timed).id; startTimer()");
+}
+
+/**
+ * Reads the time shown on the timer
+ * @returns {string} Minutes and seconds, as mm:ss
+ */
+function getDisplayedTime() {
+    const document = page.window.document;
+    return `${document.getElementById('minutes').textContent}:${document.getElementById('seconds').textContent}`;
+}
+
+/**
+ * Lists the types of the logged events
+ * @returns {string[]} Event types, oldest first
+ */
+function getEventTypes() {
+    return [...page.run('eventLog.map(e => e.type)')];
+}
+
+describe('timer expiry', () => {
+    test('runs out once, then sounds the alarm', async () => {
+        page = await loadApp();
+        startTurn();
+        
+        page.clock.tick(3 * 60 * 1000);
+        assert.equal(page.run('state.timer.isRunning'), false);
+        assert.equal(page.run('getRemainingSeconds()'), 0);
+        assert.deepEqual(getEventTypes(), ['timerStart', 'timerExpire']);
+        assert.notEqual(page.run('state.timer.alarmIntervalId'), null);
+        
+        page.clock.tick(10 * 1000);
+        assert.deepEqual(getEventTypes(), ['timerStart', 'timerExpire']);
+    });
+    
+    test('the alarm repeats until the timer is reset', async () => {
+        page = await loadApp();
+        startTurn();
+        page.clock.tick(3 * 60 * 1000);
+        
+        const beeps = page.beeps.count;
+        page.clock.tick(10 * 1000);
+        assert.ok(page.beeps.count > beeps);
+        
+        page.run('resetTimer()');
+        assert.equal(page.run('state.timer.alarmIntervalId'), null);
+        const afterReset = page.beeps.count;
+        page.clock.tick(10 * 1000);
+        assert.equal(page.beeps.count, afterReset);
+        assert.equal(page.run('getRemainingSeconds()'), 3 * 60);
+    });
+    
+    test('pausing just before the deadline stops it running out', async () => {
+        page = await loadApp();
+        startTurn();
+        
+        page.clock.tick(3 * 60 * 1000 - 1500);
+        page.run('pauseTimer()');
+        page.clock.tick(60 * 1000);
+        assert.equal(page.run('getRemainingSeconds()'), 2);
+        assert.deepEqual(getEventTypes(), ['timerStart', 'timerPause']);
+        assert.equal(page.run('state.timer.alarmIntervalId'), null);
+    });
+});
+
+describe('deadline', () => {
+    test('counts down from the deadline a second at a time', async () => {
+        page = await loadApp();
+        startTurn();
+        assert.equal(page.run('state.timer.endsAt'), START_TIME + 3 * 60 * 1000);
+        
+        page.clock.tick(999);
+        assert.equal(getDisplayedTime(), '03:00');
+        page.clock.tick(1);
+        assert.equal(getDisplayedTime(), '02:59');
+        page.clock.tick(61 * 1000);
+        assert.equal(getDisplayedTime(), '01:58');
+    });
+    
+    test('late ticks catch up with the deadline instead of falling behind', async () => {
+        page = await loadApp();
+        startTurn();
+        
+        // Moves the wall clock on without running the ticks in between, as a busy page does
+        page.clock.setSystemTime(START_TIME + 100 * 1000);
+        page.clock.tick(250);
+        assert.equal(getDisplayedTime(), '01:20');
+    });
+    
+    test('a reloaded page carries on from the saved deadline', async () => {
+        page = await loadApp();
+        startTurn();
+        page.clock.tick(30 * 1000);
+        const storage = page.storage();
+        page.close();
+        
+        page = await loadApp({ storage, now: START_TIME + 90 * 1000 });
+        assert.equal(page.run('state.timer.isRunning'), true);
+        assert.equal(page.run('getRemainingSeconds()'), 90);
+        assert.equal(getDisplayedTime(), '01:30');
+        
+        page.clock.tick(30 * 1000);
+        assert.equal(getDisplayedTime(), '01:00');
+        page.clock.tick(60 * 1000);
+        assert.equal(getEventTypes().at(-1), 'timerExpire');
+    });
+    
+    test('a reloaded page skips the warnings passed while it was closed', async () => {
+        page = await loadApp();
+        startTurn();
+        const storage = page.storage();
+        page.close();
+        
+        page = await loadApp({ storage, now: START_TIME + 170 * 1000 });
+        assert.deepEqual([...page.run('state.timer.warningsPlayed')], [60, 30]);
+        page.clock.tick(1000);
+        assert.equal(page.beeps.count, 0);
+    });
+    
+    test('a deadline that passed while the page was closed runs out on the first tick', async () => {
+        page = await loadApp();
+        startTurn();
+        const storage = page.storage();
+        page.close();
+        
+        page = await loadApp({ storage, now: START_TIME + 10 * 60 * 1000 });
+        page.clock.tick(250);
+        assert.equal(page.run('state.timer.isRunning'), false);
+        assert.equal(getDisplayedTime(), '00:00');
+        assert.equal(getEventTypes().at(-1), 'timerExpire');
+        assert.notEqual(page.run('state.timer.alarmIntervalId'), null);
+    });
+    
+    test('a deadline that passed while the page was hidden runs out as soon as it is shown', async () => {
+        page = await loadApp();
+        startTurn();
+        page.clock.tick(1000);
+        
+        // Hidden pages get no ticks, so only the wall clock moves on
+        setPageHidden(page, true);
+        page.clock.setSystemTime(START_TIME + 5 * 60 * 1000);
+        assert.equal(page.run('state.timer.isRunning'), true);
+        assert.equal(getDisplayedTime(), '02:59');
+        
+        setPageHidden(page, false);
+        assert.equal(page.run('state.timer.isRunning'), false);
+        assert.equal(getDisplayedTime(), '00:00');
+        assert.deepEqual(getEventTypes(), ['timerStart', 'timerExpire']);
+        assert.notEqual(page.run('state.timer.alarmIntervalId'), null);
+    });
+    
+    test('a page shown again before the deadline carries on counting', async () => {
+        page = await loadApp();
+        startTurn();
+        
+        setPageHidden(page, true);
+        page.clock.setSystemTime(START_TIME + 60 * 1000);
+        setPageHidden(page, false);
+        assert.equal(page.run('state.timer.isRunning'), true);
+        assert.equal(getDisplayedTime(), '02:00');
+    });
+});
+
+describe('match report', () => {
+    test('a turn that ran out counts its time up to the expiry', async () => {
+        page = await loadApp();
+        startTurn();
+        page.clock.tick(3 * 60 * 1000);
+        page.clock.tick(20 * 60 * 1000);
+        
+        page.run('resetTimer(); state.turn.number = 2');
+        startTurn();
+        page.clock.tick(60 * 1000);
+        page.run('pauseTimer()');
+        
+        const report = page.run('buildMatchReport()');
+        assert.deepEqual(Array.from(report.timedTurns, t => [t.turn, t.seconds, t.expired]), [[1, 180, true], [2, 60, false]]);
+        assert.equal(report.expiredTurns, 1);
+        assert.equal(report.averageTurnSeconds, 120);
+    });
+});
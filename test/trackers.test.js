@@ -0,0 +1,260 @@
+/**
+ * Space Hulk Tracker - Tracker Tests
+ * Limits, the custom tracker lifecycle and tracker visibility
+ */
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+let page = null;
+
+afterEach(() => {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+/**
+ * Sets a tracker's limits through its settings dialog
+ * @param {string} type - Type of tracker
+ * @param {Object} limits - min and max, with '' for no maximum
+ */
+function setLimits(type, { min, max }) {
+    const document = page.window.document;
+    page.run(`openTrackerEditor('${type}')`);
+    document.getElementById('trackerEditMin').value = String(min);
+    document.getElementById('trackerEditMax').value = String(max);
+    const defaultInput = document.getElementById('trackerEditDefault');
+    if (defaultInput.value !== '') {
+        defaultInput.value = String(Math.max(min, max === '' ? parseInt(defaultInput.value) : Math.min(max, parseInt(defaultInput.value))));
+    }
+    page.run('saveTrackerEditor()');
+}
+
+/**
+ * Adds a custom tracker through the menu form
+ * @param {string} name - Tracker name
+ * @param {number} defaultValue - Starting value
+ * @returns {string} ID of the new tracker
+ */
+function addCustom(name, defaultValue) {
+    const document = page.window.document;
+    document.getElementById('customName').value = name;
+    document.getElementById('customDefault').value = String(defaultValue);
+    page.run('addCustomTracker()');
+    return page.run('state.trackers[state.trackers.length - 1].id');
+}
+
+describe('tracker limits', () => {
+    test('adjusting stops at the maximum and minimum', async () => {
+        page = await loadApp();
+        setLimits('command', { min: 0, max: 4 });
+        
+        page.run("tracker.adjust('command', 10)");
+        assert.equal(page.run("tracker.get('command')"), 4);
+        assert.equal(page.window.document.getElementById('points-command').textContent, '4');
+        
+        page.run("tracker.adjust('command', -10)");
+        assert.equal(page.run("tracker.get('command')"), 0);
+    });
+    
+    test('the log records the change applied, not the change asked for', async () => {
+        page = await loadApp();
+        setLimits('command', { min: 0, max: 4 });
+        
+        page.run("tracker.adjust('command', 10)");
+        page.run("tracker.adjust('command', 1)");
+        const adjusts = page.run("eventLog.filter(e => e.type === 'adjust' && e.tracker === 'command')");
+        assert.equal(adjusts.length, 1);
+        assert.equal(adjusts[0].delta, 4);
+    });
+    
+    test('resetting goes no higher than the maximum', async () => {
+        page = await loadApp();
+        setLimits('cannon', { min: 0, max: 5 });
+        
+        page.run("tracker.reset('cannon')");
+        assert.equal(page.run("tracker.get('cannon')"), 5);
+        page.run("resetPoints('cannon', 99)");
+        assert.equal(page.run("tracker.get('cannon')"), 5);
+    });
+    
+    test('drawing command points is limited to the maximum', async () => {
+        page = await loadApp();
+        setLimits('command', { min: 0, max: 2 });
+        page.run('rng = () => 0.99');
+        
+        const result = page.run('rollCommandPoints()');
+        assert.equal(page.run("tracker.get('command')"), 2);
+        assert.equal(result.summary, 'Command points drawn: 6 (limited to 2)');
+    });
+    
+    test('reloading fills a weapon only up to its maximum', async () => {
+        page = await loadApp();
+        setLimits('cannon', { min: 0, max: 5 });
+        page.run("tracker.set('cannon', 0)");
+        
+        page.run("reloadWeapon('cannon')");
+        assert.equal(page.run("tracker.get('cannon')"), 5);
+        assert.equal(page.run('state.weapons.cannon.reloads'), 0);
+    });
+    
+    test('a mission preset starts trackers within their limits', async () => {
+        page = await loadApp();
+        setLimits('psychic', { min: 0, max: 8 });
+        setLimits('cannon', { min: 0, max: 5 });
+        
+        page.run("applyMissionPreset('standard')");
+        assert.equal(page.run("tracker.get('psychic')"), 8);
+        assert.equal(page.run("getTrackerDefault('psychic')"), 8);
+        assert.equal(page.run("tracker.get('cannon')"), 5);
+        assert.equal(page.run('state.weapons.cannon.defaultAmmo'), 5);
+    });
+    
+    test('a clamped game saves and loads again without errors', async () => {
+        page = await loadApp();
+        setLimits('command', { min: 0, max: 3 });
+        setLimits('cannon', { min: 0, max: 5 });
+        page.run("tracker.adjust('command', 10)");
+        page.run("applyMissionPreset('standard')");
+        page.run("tracker.adjust('command', 10)");
+        const storage = page.storage();
+        page.close();
+        
+        page = await loadApp({ storage });
+        assert.deepEqual(page.warnings, []);
+        assert.equal(page.run("tracker.get('command')"), 3);
+        assert.equal(page.run("tracker.get('cannon')"), 5);
+    });
+});
+
+describe('custom trackers', () => {
+    test('are added to the board at their default value', async () => {
+        page = await loadApp();
+        const id = addCustom('Objectives', 3);
+        
+        assert.equal(id, 'custom-1');
+        assert.equal(page.run(`tracker.get('${id}')`), 3);
+        assert.equal(page.run(`state.visibility['${id}']`), true);
+        assert.ok(page.window.document.getElementById(`tracker-${id}`));
+    });
+    
+    test('can be adjusted, removed, restored and deleted', async () => {
+        page = await loadApp();
+        const id = addCustom('Objectives', 3);
+        const section = () => page.window.document.getElementById(`tracker-${id}`);
+        
+        page.run(`tracker.adjust('${id}', 2)`);
+        assert.equal(page.run(`tracker.get('${id}')`), 5);
+        
+        page.run(`removeTracker('${id}')`);
+        assert.equal(page.run(`isTrackerRemoved('${id}')`), true);
+        assert.ok(section().classList.contains('removed-tracker'));
+        
+        page.run(`restoreTracker('${id}')`);
+        assert.equal(page.run(`isTrackerRemoved('${id}')`), false);
+        assert.ok(!section().classList.contains('removed-tracker'));
+        assert.equal(page.run(`tracker.get('${id}')`), 5);
+        
+        page.run(`removeTracker('${id}')`);
+        page.run(`deleteTracker('${id}')`);
+        assert.equal(page.run(`tracker.get('${id}')`), undefined);
+        assert.equal(section(), null);
+    });
+    
+    test('built-in trackers and weapons can be removed but not deleted', async () => {
+        page = await loadApp();
+        
+        ['psychic', 'cannon'].forEach(id => {
+            page.run(`removeTracker('${id}')`);
+            page.run(`deleteTracker('${id}')`);
+            assert.equal(page.run(`isTrackerRemoved('${id}')`), true);
+            assert.notEqual(page.run(`tracker.get('${id}')`), undefined);
+        });
+    });
+    
+    test('undo brings back a deleted tracker', async () => {
+        page = await loadApp();
+        const id = addCustom('Objectives', 3);
+        page.run(`removeTracker('${id}')`);
+        page.run(`deleteTracker('${id}')`);
+        
+        page.run('undoAction()');
+        assert.equal(page.run(`tracker.get('${id}')`), 3);
+        assert.equal(page.run(`isTrackerRemoved('${id}')`), true);
+    });
+});
+
+describe('tracker visibility', () => {
+    test('deleting a custom tracker drops its visibility', async () => {
+        page = await loadApp();
+        const id = addCustom('Objectives', 3);
+        page.run(`removeTracker('${id}')`);
+        page.run(`deleteTracker('${id}')`);
+        
+        assert.equal(page.run(`'${id}' in state.visibility`), false);
+        const saved = page.run("JSON.parse(localStorage.getItem(getSessionKey('spaceHulkTracker')))");
+        assert.equal(id in saved.visibility, false);
+    });
+    
+    test('a removed tracker comes back visible', async () => {
+        page = await loadApp();
+        page.run("toggleTrackerVisibility('psychic')");
+        assert.equal(page.run('state.visibility.psychic'), false);
+        
+        page.run("removeTracker('psychic')");
+        page.run("restoreTracker('psychic')");
+        assert.equal(page.run('state.visibility.psychic'), true);
+        assert.ok(!page.window.document.getElementById('tracker-psychic').classList.contains('hidden-tracker'));
+    });
+    
+    test('old saves keep the Librarian hidden and their custom trackers shown', async () => {
+        page = await loadApp({
+            storage: {
+                spaceHulkTracker: JSON.stringify({
+                    timer: { minutes: 3, seconds: 0, defaultMinutes: 3 },
+                    showLibrarian: false,
+                    customTrackers: [{ id: 1, name: 'Objectives', value: 3, defaultValue: 3 }],
+                    nextTrackerId: 2
+                })
+            }
+        });
+        
+        assert.deepEqual(page.warnings, []);
+        const visibility = page.run('state.visibility');
+        assert.equal(visibility.psychic, false);
+        assert.equal(visibility['custom-1'], true);
+        assert.equal('librarian' in visibility, false);
+    });
+    
+    test('old saves that could hide the timer no longer hide it', async () => {
+        page = await loadApp({
+            storage: {
+                spaceHulkTracker: JSON.stringify({
+                    timer: { minutes: 3, seconds: 0, defaultMinutes: 3 },
+                    visibility: { librarian: true, cannon: true, flamer: false, timer: false, custom: false }
+                })
+            }
+        });
+        
+        assert.deepEqual(page.warnings, []);
+        const visibility = page.run('state.visibility');
+        assert.equal(visibility.psychic, true);
+        assert.equal('timer' in visibility, false);
+        assert.equal('custom' in visibility, false);
+        assert.ok(!page.window.document.getElementById('timerSection').classList.contains('hidden-tracker'));
+    });
+});
+
+describe('tracker names', () => {
+    test('the campaign dialog names carried-over trackers as the board does', async () => {
+        page = await loadApp();
+        page.run("getTracker('psychic').name = 'Psyker Points'");
+        
+        page.run('openCampaign()');
+        const labels = [...page.window.document.querySelectorAll('#campaignCarryOver span')].map(span => span.textContent);
+        assert.deepEqual(labels, ['Psyker Points', 'Command Points', 'Assault Cannon Ammo', 'Heavy Flamer Ammo', 'Surviving Marines']);
+    });
+});